@@ -14,7 +14,9 @@ import os
 import re
 import shutil
 from datetime import datetime
+from html import escape
 from pathlib import Path
+from urllib.parse import quote
 
 # ── Paths ──────────────────────────────────────────────────────────
 ROOT      = Path(__file__).parent
@@ -49,13 +51,11 @@ def content_to_html(content_blocks):
 
 
 def tags_to_html(tags):
-    """Render tags as small pill spans."""
+    """Render tags as small pill links to their /tags/ topic page."""
     if not tags:
         return ""
     pills = "".join(
-        f'<span style="font-size:.7rem;font-weight:600;padding:.15rem .45rem;'
-        f'border-radius:3px;background:var(--bg-2);color:var(--ink-3);'
-        f'border:1px solid var(--border);margin-left:.3rem;">#{t}</span>'
+        f'<a href="/tags/?tag={quote(t)}" class="post-tag">#{escape(t)}</a>'
         for t in tags
     )
     return pills
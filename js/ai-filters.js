@@ -0,0 +1,151 @@
+/* js/ai-filters.js — Filter bar for the AI timeline and compute graph
+ *
+ * Lab chips (from data.companies), type chips (from the model types), a
+ * "Hide projections" switch and a group-by switch. The page re-renders its
+ * timeline and passes matchPoint to ComputeChart.setFilter on every change,
+ * so one selection drives both.
+ *
+ *   const filters = AIFilters.create({
+ *       data,                        // from AIModels.load
+ *       before: element,             // the bar is inserted above it
+ *       onChange: filters => {},
+ *   });
+ *   filters.matchModel(model), filters.matchPoint(point)
+ *   filters.groups(models)           // [{ key, label, color, models }]
+ *   filters.hideProjected
+ *
+ * Models name their labs in `companies`; compute points inherit labs from
+ * the releases that point at them and from their linked model.
+ */
+(function () {
+
+    const GROUPS = [['date', 'Date'], ['company', 'Lab'], ['type', 'Type']];
+
+
+    function create(options) {
+        const data = options.data;
+        const state = { companies: new Set(), types: new Set(), hideProjected: false, groupBy: 'date' };
+
+        const modelById = new Map(data.models.map(m => [m.id, m]));
+        const pointLabs = new Map(data.points.map(p => {
+            const labs = new Set(data.releases.filter(r => r.point === p.id).map(r => r.company));
+            const model = modelById.get(p.model);
+            if (model) (model.companies || []).forEach(id => labs.add(id));
+            return [p.id, labs];
+        }));
+
+        // Only labs and types that something on the page belongs to
+        const usedLabs = new Set(data.models.flatMap(m => m.companies || []));
+        pointLabs.forEach(labs => labs.forEach(id => usedLabs.add(id)));
+        const labs = data.companies.filter(c => usedLabs.has(c.id));
+        const types = [...new Set(data.models.map(m => m.type))];
+
+        const bar = document.createElement('div');
+        bar.className = 'ai-filters';
+        bar.setAttribute('role', 'region');
+        bar.setAttribute('aria-label', 'Filter AI models');
+        if (options.before && options.before.parentNode) options.before.parentNode.insertBefore(bar, options.before);
+
+        function matchModel(m) {
+            if (state.hideProjected && !m.real) return false;
+            if (state.companies.size && !(m.companies || []).some(id => state.companies.has(id))) return false;
+            if (state.types.size && !state.types.has(m.type)) return false;
+            return true;
+        }
+
+        function matchPoint(p) {
+            if (state.hideProjected && !p.real) return false;
+            if (state.companies.size && ![...(pointLabs.get(p.id) || [])].some(id => state.companies.has(id))) return false;
+            if (state.types.size) {
+                const model = modelById.get(p.model);
+                if (!model || !state.types.has(model.type)) return false;
+            }
+            return true;
+        }
+
+        /** Matching models split by the group-by setting; one unlabelled group for 'date'. */
+        function groups(models) {
+            const shown = models.filter(matchModel);
+            if (state.groupBy === 'date') return [{ key: 'all', label: null, color: null, models: shown }];
+            const out = new Map();
+            shown.forEach(m => {
+                let key, label, color = null;
+                if (state.groupBy === 'company') {
+                    // A joint entry files under its first lab
+                    const lab = data.companies.find(c => c.id === (m.companies || [])[0]);
+                    key = lab ? lab.id : 'other';
+                    label = lab ? lab.name : 'Other';
+                    color = lab ? lab.color : null;
+                } else {
+                    key = label = m.type;
+                }
+                if (!out.has(key)) out.set(key, { key, label, color, models: [] });
+                out.get(key).models.push(m);
+            });
+            return [...out.values()];
+        }
+
+        const active = () => state.companies.size || state.types.size || state.hideProjected;
+
+        function chip(kind, id, label, color, on) {
+            return `<button type="button" class="ai-filter-chip" data-${kind}="${Safe.attr(id)}" aria-pressed="${on}">${Safe.color(color) ? `<span class="legend-dot" style="background:${Safe.attr(Safe.color(color))};"></span>` : ''}${Safe.text(label)}</button>`;
+        }
+
+        function render() {
+            const count = data.models.filter(matchModel).length;
+            bar.innerHTML = `
+                <div class="ai-filter-row" role="group" aria-label="Lab">
+                    <span class="ai-filter-label">Lab</span>
+                    ${labs.map(c => chip('lab', c.id, c.name, c.color, state.companies.has(c.id))).join('')}
+                </div>
+                <div class="ai-filter-row" role="group" aria-label="Type">
+                    <span class="ai-filter-label">Type</span>
+                    ${types.map(t => chip('type', t, t, null, state.types.has(t))).join('')}
+                </div>
+                <div class="ai-filter-row">
+                    <label class="ai-filter-switch"><input type="checkbox" data-hide-projected${state.hideProjected ? ' checked' : ''}> Hide projections</label>
+                    <div class="chart-seg" role="group" aria-label="Group timeline by">
+                        ${GROUPS.map(([key, text]) => `<button type="button" class="chart-seg-btn" data-group="${key}" aria-pressed="${state.groupBy === key}">${text}</button>`).join('')}
+                    </div>
+                    <span class="ai-filter-count" aria-live="polite">Showing ${count} of ${data.models.length} models</span>
+                    ${active() ? '<button type="button" class="ai-filter-reset" data-reset>Reset filters</button>' : ''}
+                </div>`;
+
+            const flip = (set, id) => { if (set.has(id)) set.delete(id); else set.add(id); };
+            bar.querySelectorAll('[data-lab]').forEach(btn => btn.addEventListener('click', () => change(() => flip(state.companies, btn.dataset.lab), btn)));
+            bar.querySelectorAll('[data-type]').forEach(btn => btn.addEventListener('click', () => change(() => flip(state.types, btn.dataset.type), btn)));
+            bar.querySelectorAll('[data-group]').forEach(btn => btn.addEventListener('click', () => change(() => { state.groupBy = btn.dataset.group; }, btn)));
+            bar.querySelector('[data-hide-projected]').addEventListener('change', e => change(() => { state.hideProjected = e.target.checked; }, e.target));
+            const reset = bar.querySelector('[data-reset]');
+            if (reset) reset.addEventListener('click', () => change(() => {
+                state.companies.clear();
+                state.types.clear();
+                state.hideProjected = false;
+            }));
+        }
+
+        // Apply a state change, re-render, keep keyboard focus on the same control
+        function change(fn, control) {
+            const controls = () => [...bar.querySelectorAll('button, input')];
+            const at = control ? controls().indexOf(control) : -1;
+            fn();
+            render();
+            if (at >= 0 && controls()[at]) controls()[at].focus();
+            if (options.onChange) options.onChange(instance);
+        }
+
+        const instance = {
+            matchModel,
+            matchPoint,
+            groups,
+            get hideProjected() { return state.hideProjected; },
+            get active() { return Boolean(active()); },
+            destroy() { bar.remove(); },
+        };
+        render();
+        return instance;
+    }
+
+    window.AIFilters = { create };
+
+})();
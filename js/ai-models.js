@@ -0,0 +1,228 @@
+/* js/ai-models.js — Loader for data/ai-compute.json
+ *
+ * The AI model cards and compute milestones live in one versioned dataset
+ * (schema in README.md). Entries are validated on load: a malformed entry is
+ * dropped and reported, the rest of the dataset still renders.
+ *
+ *   const data = await AIModels.load('/data/ai-compute.json');
+ *   data.models, data.points, data.releases, data.companies, data.sources,
+ *   data.as_of, data.errors
+ *   AIModels.renderErrors(container, data.errors);
+ */
+(function () {
+
+    const SUPPORTED_VERSION = 1;
+
+    const MODEL_FIELDS = {
+        id: 'string', year: 'number', model: 'string', subtitle: 'string',
+        company: 'string', company_color: 'string', type: 'string',
+        release_date: 'string', compute: 'string', params: 'string',
+        context: 'string', benchmark: 'string', description: 'string',
+        impact: 'string', real: 'boolean'
+    };
+
+    const POINT_FIELDS = {
+        id: 'string', label: 'string', year: 'number', flops: 'number', real: 'boolean'
+    };
+
+    const RELEASE_FIELDS = {
+        id: 'string', name: 'string', company: 'string', date: 'string', open_weights: 'boolean'
+    };
+
+    function typeOf(v) {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        return typeof v;
+    }
+
+    // Problems with one entry, as readable strings ([] = valid)
+    function checkFields(entry, fields) {
+        if (typeOf(entry) !== 'object') return [`expected an object, got ${typeOf(entry)}`];
+        const problems = [];
+        Object.entries(fields).forEach(([key, type]) => {
+            if (!(key in entry)) problems.push(`missing "${key}"`);
+            else if (typeOf(entry[key]) !== type) problems.push(`"${key}" should be a ${type}, got ${typeOf(entry[key])}`);
+            else if (type === 'number' && !Number.isFinite(entry[key])) problems.push(`"${key}" is not a finite number`);
+        });
+        return problems;
+    }
+
+    function checkSources(entry, sourceIds) {
+        if (entry.sources === undefined) return [];
+        if (!Array.isArray(entry.sources)) return ['"sources" should be an array of source ids'];
+        return entry.sources
+            .filter(id => !sourceIds.has(id))
+            .map(id => `unknown source "${id}"`);
+    }
+
+    /**
+     * Validate a parsed dataset. Returns the valid entries of each section plus a
+     * list of { section, index, id, problems } for every rejected entry.
+     */
+    function validate(data) {
+        const errors = [];
+        const report = (section, index, entry, problems) => errors.push({
+            section, index, id: entry && typeof entry.id === 'string' ? entry.id : null, problems
+        });
+
+        if (typeOf(data) !== 'object') {
+            return { version: null, as_of: null, sources: [], companies: [], models: [], points: [], releases: [],
+                errors: [{ section: 'dataset', index: null, id: null, problems: ['dataset is not a JSON object'] }] };
+        }
+        if (data.version !== SUPPORTED_VERSION) {
+            report('dataset', null, null, [`version ${data.version} is not supported (expected ${SUPPORTED_VERSION})`]);
+        }
+
+        const sources = (Array.isArray(data.sources) ? data.sources : []).filter((s, i) => {
+            const problems = checkFields(s, { id: 'string', title: 'string' });
+            if (!problems.length && s.url !== null && s.url !== undefined && !/^https?:\/\//.test(s.url)) {
+                problems.push('"url" must be an http(s) link or null');
+            }
+            if (problems.length) report('sources', i, s, problems);
+            return !problems.length;
+        });
+        const sourceIds = new Set(sources.map(s => s.id));
+
+        const companies = (Array.isArray(data.companies) ? data.companies : []).filter((c, i) => {
+            const problems = checkFields(c, { id: 'string', name: 'string', color: 'string' });
+            if (!problems.length && !/^#[0-9a-f]{3,8}$/i.test(c.color)) problems.push('"color" is not a hex colour');
+            if (problems.length) report('companies', i, c, problems);
+            return !problems.length;
+        });
+        const companyIds = new Set(companies.map(c => c.id));
+
+        const seenModels = new Set();
+        const models = (Array.isArray(data.models) ? data.models : []).filter((m, i) => {
+            const problems = checkFields(m, MODEL_FIELDS);
+            if (!problems.length) {
+                if (seenModels.has(m.id)) problems.push(`duplicate id "${m.id}"`);
+                if (!/^#[0-9a-f]{3,8}$/i.test(m.company_color)) problems.push(`"company_color" is not a hex colour`);
+                if (m.companies !== undefined) {
+                    if (!Array.isArray(m.companies)) problems.push('"companies" should be an array of company ids');
+                    else m.companies.filter(id => !companyIds.has(id))
+                        .forEach(id => problems.push(`"companies" refers to unknown company "${id}"`));
+                }
+                problems.push(...checkSources(m, sourceIds));
+            }
+            if (problems.length) report('models', i, m, problems);
+            else seenModels.add(m.id);
+            return !problems.length;
+        });
+
+        const seenPoints = new Set();
+        const points = (Array.isArray(data.compute_points) ? data.compute_points : []).filter((p, i) => {
+            const problems = checkFields(p, POINT_FIELDS);
+            if (!problems.length) {
+                if (seenPoints.has(p.id)) problems.push(`duplicate id "${p.id}"`);
+                if (p.flops <= 0) problems.push('"flops" must be positive for the log scale');
+                if (p.model !== null && p.model !== undefined && !seenModels.has(p.model)) {
+                    problems.push(`"model" refers to unknown model "${p.model}"`);
+                }
+                problems.push(...checkSources(p, sourceIds));
+            }
+            if (problems.length) report('compute_points', i, p, problems);
+            else seenPoints.add(p.id);
+            return !problems.length;
+        }).sort((a, b) => a.year - b.year);
+
+        const seenReleases = new Set();
+        const releases = (Array.isArray(data.releases) ? data.releases : []).filter((r, i) => {
+            const problems = checkFields(r, RELEASE_FIELDS);
+            if (!problems.length) {
+                if (seenReleases.has(r.id)) problems.push(`duplicate id "${r.id}"`);
+                if (!companyIds.has(r.company)) problems.push(`"company" refers to unknown company "${r.company}"`);
+                if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(r.date)) problems.push(`"date" should be YYYY-MM, got "${r.date}"`);
+                if (r.point !== null && r.point !== undefined && !seenPoints.has(r.point)) {
+                    problems.push(`"point" refers to unknown compute point "${r.point}"`);
+                }
+                problems.push(...checkSources(r, sourceIds));
+            }
+            if (problems.length) report('releases', i, r, problems);
+            else seenReleases.add(r.id);
+            return !problems.length;
+        }).sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            version: data.version,
+            as_of: typeof data.as_of === 'string' ? data.as_of : null,
+            sources, companies, models, points, releases, errors
+        };
+    }
+
+    /** Fetch and validate. A failed fetch resolves with an empty dataset and one error. */
+    function load(url) {
+        return fetch(url)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(validate)
+            .catch(err => ({
+                version: null, as_of: null, sources: [], companies: [], models: [], points: [], releases: [],
+                errors: [{ section: 'dataset', index: null, id: null, problems: [`${url} could not be loaded (${err.message || err})`] }]
+            }))
+            .then(result => {
+                result.errors.forEach(e => console.warn('ai-compute.json:', describe(e)));
+                return result;
+            });
+    }
+
+    function describe(error) {
+        const where = error.section === 'dataset' ? 'dataset'
+            : `${error.section}[${error.index}]${error.id ? ` (${error.id})` : ''}`;
+        return `${where}: ${error.problems.join('; ')}`;
+    }
+
+    /** Warning box listing rejected entries; clears the container when there are none. */
+    function renderErrors(container, errors) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (!errors || !errors.length) return;
+
+        const warn = document.createElement('div');
+        warn.className = 'dataset-warning';
+        warn.setAttribute('role', 'alert');
+        const head = document.createElement('strong');
+        head.textContent = `${errors.length} ${errors.length === 1 ? 'entry' : 'entries'} in the AI dataset could not be used:`;
+        warn.appendChild(head);
+        const list = document.createElement('ul');
+        errors.forEach(e => {
+            const li = document.createElement('li');
+            li.textContent = describe(e);
+            list.appendChild(li);
+        });
+        warn.appendChild(list);
+        container.appendChild(warn);
+    }
+
+    /** "Data as of … · Sources: …" line with links. */
+    function renderSources(container, data) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (!data.as_of && !data.sources.length) return;
+
+        if (data.as_of) {
+            const d = new Date(`${data.as_of}T00:00:00`);
+            container.append(`Data as of ${isNaN(d) ? data.as_of : d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`);
+        }
+        if (data.sources.length) {
+            container.append(data.as_of ? ' · Sources: ' : 'Sources: ');
+            data.sources.forEach((s, i) => {
+                if (i > 0) container.append(', ');
+                if (s.url) {
+                    const a = document.createElement('a');
+                    a.href = s.url;
+                    a.target = '_blank';
+                    a.rel = 'noopener';
+                    a.textContent = s.title;
+                    container.appendChild(a);
+                } else {
+                    container.append(s.title);
+                }
+            });
+        }
+    }
+
+    window.AIModels = { load, validate, describe, renderErrors, renderSources, SUPPORTED_VERSION };
+
+})();
@@ -0,0 +1,28 @@
+/* js/articles.js — The article index and topic-page links, shared by pages
+ *
+ *   const articles = await Articles.load();   // [] when articles-index.json is unavailable
+ *   Articles.tagURL('SpaceX')                  // '/tags/?tag=SpaceX'
+ *
+ * articles-index.json is generated by build.py from posts/.
+ */
+(function () {
+
+    async function load() {
+        try {
+            const res = await fetch('/articles-index.json');
+            if (!res.ok) throw new Error('articles-index.json not found');
+            return await res.json();
+        } catch (e) {
+            console.error('Failed to load articles:', e);
+            return [];
+        }
+    }
+
+    /** Topic page for a tag; tags match case-insensitively there. */
+    function tagURL(tag) {
+        return `/tags/?tag=${encodeURIComponent(tag)}`;
+    }
+
+    window.Articles = { load, tagURL };
+
+})();
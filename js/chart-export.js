@@ -0,0 +1,117 @@
+/* js/chart-export.js — SVG, PNG, CSV and JSON downloads for js/chart.js charts
+ *
+ *   SimChart.exportMenu(target, chart, { filename: 'ai-compute' });
+ *   SimChart.svgMarkup(chart.svg)              // standalone SVG text
+ *   SimChart.pngBlob(chart.svg, 2).then(blob => …)
+ *
+ * Everything is built in the browser. Load after js/chart.js and
+ * js/file-export.js; the functions are added to SimChart.
+ */
+(function () {
+
+    const INLINE_PROPS = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'stop-color',
+        'stop-opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'display',
+    ];
+
+    // First non-transparent background behind an element (the card colour)
+    function backgroundOf(node) {
+        for (let n = node; n && n.nodeType === 1; n = n.parentElement) {
+            const bg = getComputedStyle(n).backgroundColor;
+            if (bg && bg !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(bg)) return bg;
+        }
+        return '#ffffff';
+    }
+
+    /**
+     * Standalone SVG markup for a rendered chart: computed styles are
+     * inlined, so the file keeps the active theme without style.css.
+     */
+    function svgMarkup(svg) {
+        const clone = svg.cloneNode(true);
+        const live = [svg, ...svg.querySelectorAll('*')];
+        const copy = [clone, ...clone.querySelectorAll('*')];
+        live.forEach((node, i) => {
+            const cs = getComputedStyle(node);
+            const style = INLINE_PROPS
+                .map(p => [p, cs.getPropertyValue(p)])
+                .filter(([, v]) => v)
+                .map(([p, v]) => `${p}:${v}`)
+                .join(';');
+            if (style) copy[i].setAttribute('style', style);
+            copy[i].removeAttribute('class');
+        });
+        clone.querySelectorAll('[data-export="skip"]').forEach(n => n.remove());
+
+        const [, , w, h] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+        clone.setAttribute('width', w);
+        clone.setAttribute('height', h);
+        const bg = document.createElementNS(svg.namespaceURI, 'rect');
+        Object.entries({ x: 0, y: 0, width: w, height: h, fill: backgroundOf(svg.parentNode) })
+            .forEach(([k, v]) => bg.setAttribute(k, v));
+        clone.insertBefore(bg, clone.firstChild);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    }
+
+    /** Rasterise a rendered chart. Resolves with a PNG Blob. */
+    function pngBlob(svg, scale) {
+        const [, , w, h] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+        const markup = svgMarkup(svg);
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(w * scale);
+                canvas.height = Math.round(h * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                ctx.drawImage(img, 0, 0, w, h);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+            };
+            img.onerror = () => reject(new Error('SVG could not be rasterised'));
+            img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+        });
+    }
+
+    /**
+     * Export menu for a chart instance (from create or bars):
+     *   SimChart.exportMenu(target, chart, { filename: 'ai-compute' });
+     * SVG and PNG capture the current view; CSV/JSON hold chart.rows().
+     */
+    function exportMenu(target, instance, options) {
+        if (!target || !instance) return null;
+        const base = (options && options.filename) || 'chart';
+        const items = `
+            <button type="button" role="menuitem" data-export="svg">SVG</button>
+            <div class="chart-export-png">
+                <button type="button" role="menuitem" data-export="png">PNG</button>
+                <select aria-label="PNG scale">
+                    <option value="1">1×</option>
+                    <option value="2" selected>2×</option>
+                    <option value="3">3×</option>
+                    <option value="4">4×</option>
+                </select>
+            </div>
+            <button type="button" role="menuitem" data-export="csv">CSV</button>
+            <button type="button" role="menuitem" data-export="json">JSON</button>`;
+
+        const menu = FileExport.menu(items, kind => {
+            if (kind === 'svg') FileExport.download(`${base}.svg`, svgMarkup(instance.svg), 'image/svg+xml');
+            if (kind === 'csv') FileExport.download(`${base}.csv`, FileExport.toCSV(instance.rows()), 'text/csv');
+            if (kind === 'json') FileExport.download(`${base}.json`, JSON.stringify(instance.rows(), null, 2) + '\n', 'application/json');
+            if (kind === 'png') {
+                const scale = Number(menu.querySelector('select').value) || 2;
+                pngBlob(instance.svg, scale)
+                    .then(blob => FileExport.download(`${base}@${scale}x.png`, blob))
+                    .catch(err => console.error('PNG export failed:', err));
+            }
+        });
+
+        target.appendChild(menu);
+        return menu;
+    }
+
+    Object.assign(window.SimChart, { exportMenu, svgMarkup, pngBlob });
+
+})();
@@ -0,0 +1,84 @@
+/* js/chart-table.js — The numbers behind a js/chart.js chart as an HTML table
+ *
+ *   SimChart.dataTable(target, chart, { caption: 'Training compute by model' });
+ *
+ * Adds a "Data table" toggle to `target` and the table under the chart.
+ * Load after js/chart.js; dataTable is added to SimChart.
+ */
+(function () {
+
+    let tableSeq = 0;
+
+    /**
+     * Toggle button (added to `target`) for a data table under the chart.
+     * The table follows the chart: zoom, legend toggles and updates refresh it.
+     *   SimChart.dataTable(target, chart, {
+     *       caption: 'Training compute by model',
+     *       columns: [{ key: 'flops', label: 'FLOPs', format: v => v.toExponential(1) }],
+     *   });
+     * Without `columns`, every key of the chart's rows becomes a column.
+     */
+    function dataTable(target, instance, options) {
+        if (!target || !instance) return null;
+        options = options || {};
+        const id = `simChartTable${++tableSeq}`;
+        const wrap = document.createElement('div');
+        wrap.className = 'chart-data-table';
+        wrap.id = id;
+        wrap.hidden = true;
+        instance.svg.parentNode.appendChild(wrap);
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'chart-table-toggle';
+        btn.setAttribute('aria-controls', id);
+        btn.setAttribute('aria-expanded', 'false');
+        btn.textContent = 'Data table';
+        btn.addEventListener('click', () => {
+            wrap.hidden = !wrap.hidden;
+            btn.setAttribute('aria-expanded', String(!wrap.hidden));
+            if (!wrap.hidden) fill();
+        });
+        target.appendChild(btn);
+
+        function fill() {
+            const rows = instance.tableRows ? instance.tableRows() : instance.rows();
+            const columns = options.columns || [...new Set(rows.flatMap(r => Object.keys(r)))].map(key => ({ key, label: key }));
+            const table = document.createElement('table');
+            if (options.caption) table.createCaption().textContent = options.caption;
+
+            const head = table.createTHead().insertRow();
+            columns.forEach(col => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = col.label;
+                head.appendChild(th);
+            });
+            const body = table.createTBody();
+            rows.forEach(row => {
+                const tr = body.insertRow();
+                columns.forEach((col, i) => {
+                    const v = row[col.key];
+                    const cell = document.createElement(i === 0 ? 'th' : 'td');
+                    if (i === 0) cell.scope = 'row';
+                    if (typeof v === 'number') cell.className = 'num';
+                    cell.textContent = col.format ? col.format(v, row) : (v === undefined || v === null ? '' : v);
+                    tr.appendChild(cell);
+                });
+            });
+            if (!rows.length) {
+                const cell = body.insertRow().insertCell();
+                cell.colSpan = columns.length || 1;
+                cell.textContent = 'No data in view.';
+            }
+            wrap.innerHTML = '';
+            wrap.appendChild(table);
+        }
+
+        if (instance.onRender) instance.onRender(() => { if (!wrap.hidden) fill(); });
+        return btn;
+    }
+
+    Object.assign(window.SimChart, { dataTable });
+
+})();
@@ -0,0 +1,974 @@
+/* js/chart.js — Reusable SVG charts: line/scatter and stacked bars
+ *
+ *   const chart = SimChart.create(container, {
+ *       height: 320,
+ *       x: { type: 'linear', min: 2018, max: 2028, title: 'Year' },
+ *       y: { type: 'log', title: 'Training Compute (FLOPs)' },
+ *       series: [{ id: 'real', name: 'Confirmed', color: 'var(--blue)', area: true,
+ *                  points: [{ x: 2020.5, y: 3.14e23, label: 'GPT-3' }] }],
+ *       tooltip: (point, series) => '<div>…</div>',
+ *       onClick: (point, series) => {},
+ *   });
+ *   chart.update({ series: [...] });
+ *
+ *   SimChart.bars(container, {                 // stacked bars
+ *       categories: ['2024 Q1', '2024 Q2'],
+ *       stacks: [{ id: 'openai', name: 'OpenAI', color: '#10a37f', values: [1, 2] }],
+ *       tooltip: (index, stack) => '<div>…</div>',
+ *       legend: legendElement,                  // optional toggle buttons
+ *   });
+ *
+ * A series with `band: [{ x, y0, y1 }]` draws a shaded range instead of a
+ * line; `showPoints: false` draws the line alone; `muted: point => bool`
+ * fades points (e.g. ones a filter excludes) and drops their labels.
+ *
+ * Every chart has rows() (the data in view). js/chart-export.js adds
+ * SimChart.exportMenu() for SVG / PNG / CSV / JSON downloads and
+ * js/chart-table.js adds SimChart.dataTable() for a table of the numbers.
+ *
+ * Points and bars are focusable: Tab reaches the chart, arrow keys move
+ * between points (Home/End jump to the ends) and focus opens the tooltip.
+ * `label` names the chart for screen readers; `describe(point, series)`
+ * overrides the text read for a point.
+ *
+ * `zoom: true` adds wheel and pinch zoom plus drag-to-pan on the x axis;
+ * `brush: true` adds a range strip under the chart. While zoomed, an axis
+ * with `fitVisible: true` rescales to the points in view.
+ *
+ * Axes support 'linear' and 'log' scales. Ticks and labels are generated
+ * from the domain; min/max default to the data extent. Width follows the
+ * container and the chart re-renders on resize. Colours are CSS values,
+ * so var(--…) tokens follow the active theme. `tooltip` returns markup;
+ * the default tooltips escape labels with js/safe.js.
+ */
+(function () {
+
+    const NS = 'http://www.w3.org/2000/svg';
+    const SUPERSCRIPT = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+    const DEFAULTS = {
+        height: 320,
+        minWidth: 320,
+        padding: { top: 28, right: 35, bottom: 58, left: 78 },
+        x: { type: 'linear' },
+        y: { type: 'linear' },
+        series: [],
+        tooltip: null,
+        onClick: null,
+        onHover: null,
+        onViewChange: null,
+        animate: true,
+        zoom: false,    // wheel / pinch zoom and drag-pan on x
+        brush: false,   // overview strip under the chart (series with brush: true)
+        label: null,    // accessible name of the chart
+        describe: null, // (point, series) => text read out for a focused point
+    };
+
+    let gradientSeq = 0;
+
+    function el(tag, attrs, parent) {
+        const node = document.createElementNS(NS, tag);
+        Object.entries(attrs || {}).forEach(([k, v]) => {
+            if (v !== undefined && v !== null) node.setAttribute(k, v);
+        });
+        if (parent) parent.appendChild(node);
+        return node;
+    }
+
+    /** "10²³" style label for a power of ten. */
+    function powerOfTen(exp) {
+        return '10' + String(exp).split('').map(c => SUPERSCRIPT[c] || c).join('');
+    }
+
+    // 2.5×10²⁶ for large or tiny values, plain digits otherwise
+    function formatNumber(v) {
+        if (Math.abs(v) >= 1e6 || (Math.abs(v) < 1e-3 && v !== 0)) {
+            let exp = Math.floor(Math.log10(Math.abs(v)));
+            let mant = +(v / Math.pow(10, exp)).toFixed(1);
+            if (Math.abs(mant) >= 10) { mant /= 10; exp += 1; }
+            return `${mant === 1 ? '' : `${mant}×`}${powerOfTen(exp)}`;
+        }
+        return String(+v.toFixed(3));
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Scales
+    // ──────────────────────────────────────────────────────────
+
+    // Nice linear tick step for a span and a target tick count
+    function niceStep(span, count) {
+        const raw = span / Math.max(count, 1);
+        const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+        const norm = raw / mag;
+        return (norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10) * mag;
+    }
+
+    /**
+     * Build a scale mapping domain [d0, d1] onto pixel range [r0, r1].
+     * Returns fn(v) -> px with .invert, .ticks(count), .format, .domain.
+     */
+    function makeScale(axis, d0, d1, r0, r1) {
+        const isLog = axis.type === 'log';
+        const t = v => isLog ? Math.log10(v) : v;
+        const tInv = v => isLog ? Math.pow(10, v) : v;
+        const t0 = t(d0), t1 = t(d1);
+
+        const scale = v => r0 + (t(v) - t0) / (t1 - t0) * (r1 - r0);
+        scale.invert = px => tInv(t0 + (px - r0) / (r1 - r0) * (t1 - t0));
+        scale.domain = [d0, d1];
+        scale.type = axis.type || 'linear';
+
+        scale.ticks = count => {
+            if (axis.ticks) return axis.ticks.filter(v => v >= d0 && v <= d1);
+            if (isLog) {
+                const lo = Math.ceil(t0), hi = Math.floor(t1);
+                const step = Math.max(1, Math.ceil((hi - lo) / Math.max(count, 1)));
+                const out = [];
+                for (let e = lo; e <= hi; e += step) out.push(Math.pow(10, e));
+                return out;
+            }
+            const raw = (d1 - d0) / Math.max(count, 1);
+            const step = axis.steps ? (axis.steps.find(st => st >= raw) || niceStep(d1 - d0, count)) : niceStep(d1 - d0, count);
+            const out = [];
+            for (let v = Math.ceil(d0 / step) * step; v <= d1 + step * 1e-9; v += step) out.push(+v.toFixed(10));
+            return out;
+        };
+
+        scale.format = axis.format || (v => isLog ? powerOfTen(Math.round(Math.log10(v))) : formatNumber(v));
+        return scale;
+    }
+
+    // Domain for an axis: explicit min/max, else the data extent
+    // (whole decades for log axes, a 5% margin for linear ones)
+    function resolveDomain(axis, values) {
+        let lo = axis.min, hi = axis.max;
+        const finite = values.filter(v => Number.isFinite(v) && (axis.type !== 'log' || v > 0));
+        if (lo === undefined || hi === undefined) {
+            const dMin = finite.length ? Math.min(...finite) : (axis.type === 'log' ? 1 : 0);
+            const dMax = finite.length ? Math.max(...finite) : (axis.type === 'log' ? 10 : 1);
+            if (axis.type === 'log') {
+                if (lo === undefined) lo = Math.pow(10, Math.floor(Math.log10(dMin)));
+                if (hi === undefined) hi = Math.pow(10, Math.ceil(Math.log10(dMax)));
+                if (lo === hi) hi = lo * 10;
+            } else {
+                const pad = (dMax - dMin || Math.abs(dMax) || 1) * 0.05;
+                if (lo === undefined) lo = dMin - pad;
+                if (hi === undefined) hi = dMax + pad;
+            }
+        }
+        return [lo, hi];
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Chart
+    // ──────────────────────────────────────────────────────────
+    function create(container, userConfig) {
+        const chart = {
+            container,
+            config: Object.assign({}, DEFAULTS, userConfig),
+            svg: null,
+            brush: null,
+            tooltip: null,
+            width: 0,
+            view: null,     // visible x range when zoomed, null = full domain
+            full: null,     // full x domain from the last render
+            hasAnimated: false,
+            hits: new Map(), // "series:index" -> focusable hit circle
+            focusKey: null,  // point that holds the tab stop
+            renderHooks: [],
+        };
+        chart.config.padding = Object.assign({}, DEFAULTS.padding, userConfig.padding);
+
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+
+        chart.tooltip = document.createElement('div');
+        chart.tooltip.className = 'graph-tooltip';
+        chart.tooltip.style.display = 'none';
+        container.appendChild(chart.tooltip);
+
+        // Container listeners go away with destroy()
+        const listeners = new AbortController();
+        const on = (type, fn, opts) => container.addEventListener(type, fn, Object.assign({ signal: listeners.signal }, opts));
+
+        function render() {
+            const cfg = chart.config;
+            const W = Math.max(container.clientWidth || 900, cfg.minWidth);
+            const H = cfg.height;
+            const PAD = cfg.padding;
+            chart.width = W;
+
+            const allPoints = seriesValues(cfg.series);
+            chart.full = resolveDomain(cfg.x, allPoints.map(p => p.x));
+            const [x0, x1] = chart.view || chart.full;
+
+            // Zoomed in, the y axis fits what is visible; otherwise it honours y.min/max
+            const yAxis = chart.view && cfg.y.fitVisible
+                ? Object.assign({}, cfg.y, { min: cfg.y.type === 'log' ? undefined : 0, max: undefined })
+                : cfg.y;
+            let yValues = allPoints;
+            if (chart.view && cfg.y.fitVisible) {
+                // Only plotted points count; bands and trend lines would swamp the range
+                const inRange = seriesValues(cfg.series.filter(s => !s.band && s.showPoints !== false))
+                    .filter(p => p.x >= x0 && p.x <= x1);
+                if (inRange.length) yValues = inRange;
+            }
+            const [y0, y1] = resolveDomain(yAxis, yValues.map(p => p.y));
+
+            const xs = makeScale(cfg.x, x0, x1, PAD.left, W - PAD.right);
+            const ys = makeScale(cfg.y, y0, y1, H - PAD.bottom, PAD.top);
+            const clampY = v => Math.max(PAD.top, Math.min(H - PAD.bottom, ys(v)));
+            chart.scales = { x: xs, y: ys };
+
+            const hadFocus = Boolean(chart.svg && chart.svg.contains(document.activeElement));
+            const svg = el('svg', {
+                viewBox: `0 0 ${W} ${H}`, class: 'sim-chart', role: 'group',
+                'aria-label': `${cfg.label || 'Chart'}. Arrow keys move between data points${cfg.zoom ? ', plus and minus zoom' : ''}.`,
+            });
+            svg.style.cssText = 'width:100%;height:auto;display:block;overflow:visible;';
+            if (cfg.zoom) svg.style.touchAction = 'pan-y';
+            if (cfg.title) el('title', {}, svg).textContent = cfg.title;
+            const defs = el('defs', {}, svg);
+
+            // Series are clipped to the plot's x range (labels may still rise above it)
+            const clipId = `simChartClip${++gradientSeq}`;
+            const clip = el('clipPath', { id: clipId }, defs);
+            el('rect', { x: PAD.left, y: 0, width: W - PAD.left - PAD.right, height: H - PAD.bottom + 1 }, clip);
+
+            drawAxes(svg, cfg, xs, ys, W, H, PAD);
+            const plot = el('g', { 'clip-path': `url(#${clipId})` }, svg);
+            const labels = [];
+            const inView = p => p.x >= x0 && p.x <= x1;
+            chart.hits = new Map();
+
+            cfg.series.forEach((series, si) => {
+                if (series.band) {
+                    drawBand(plot, series, xs, clampY);
+                    return;
+                }
+                const pts = series.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+                const linePts = (series.connectFrom ? [series.connectFrom] : []).concat(pts);
+                if (!linePts.length) return;
+                const color = series.color || 'var(--blue)';
+                const path = linePts.map((p, i) => `${i === 0 ? 'M' : 'L'} ${xs(p.x)} ${clampY(p.y)}`).join(' ');
+
+                if (series.area && pts.length > 1) {
+                    const gid = `simChartGrad${++gradientSeq}`;
+                    const grad = el('linearGradient', { id: gid, x1: 0, y1: 0, x2: 0, y2: 1 }, defs);
+                    [['0%', 0.12], ['100%', 0.01]].forEach(([off, op]) => {
+                        const stop = el('stop', { offset: off, 'stop-opacity': op }, grad);
+                        stop.style.stopColor = color;
+                    });
+                    const base = H - PAD.bottom;
+                    el('path', {
+                        d: `M ${xs(pts[0].x)} ${base} ` + pts.map(p => `L ${xs(p.x)} ${clampY(p.y)}`).join(' ') + ` L ${xs(pts[pts.length - 1].x)} ${base} Z`,
+                        fill: `url(#${gid})`,
+                    }, plot);
+                }
+
+                if (series.line !== false && linePts.length > 1) {
+                    const line = el('path', {
+                        d: path, fill: 'none', stroke: color,
+                        'stroke-width': series.strokeWidth || (series.dashed ? 2 : 2.5),
+                        'stroke-dasharray': series.dashed ? '7 4' : null,
+                        'stroke-linecap': 'round', 'stroke-linejoin': 'round',
+                        class: 'sim-chart-line',
+                    }, plot);
+                    if (series.dashed) line.style.opacity = series.opacity || '0.7';
+                    if (cfg.animate && !series.dashed && !chart.hasAnimated) animateLine(line);
+                }
+
+                if (series.showPoints === false) return;
+                series.points.forEach((p, pi) => {
+                    if (!inView(p) || !Number.isFinite(p.x) || !Number.isFinite(p.y)) return;
+                    const x = xs(p.x), y = clampY(p.y);
+                    const muted = Boolean(series.muted && series.muted(p));
+                    const hit = drawPoint(plot, chart, series, p, x, y, color, muted);
+                    hit.setAttribute('data-key', `${si}:${pi}`);
+                    chart.hits.set(`${si}:${pi}`, hit);
+                    const text = series.pointLabel && !muted ? series.pointLabel(p) : null;
+                    if (text) labels.push({ x, y, text, color, key: series.keyPoint ? series.keyPoint(p) : false });
+                });
+            });
+
+            placeLabels(svg, labels, PAD.left, W - PAD.right, 2, H - PAD.bottom);
+
+            chart.hasAnimated = true;
+            if (chart.svg && chart.svg.parentNode === container) container.replaceChild(svg, chart.svg);
+            else container.appendChild(svg);
+            chart.svg = svg;
+            if (cfg.brush) renderBrush(W);
+
+            // One tab stop per chart: the last focused point, else the first in view
+            const stop = chart.hits.get(chart.focusKey) || chart.hits.values().next().value;
+            if (stop) stop.setAttribute('tabindex', '0');
+            if (hadFocus && stop) stop.focus();
+            chart.renderHooks.forEach(fn => fn());
+        }
+
+        // ── Keyboard: arrows walk the points, +/- zoom around the focused one ──
+        function focusPoint(key) {
+            const [si, pi] = key.split(':').map(Number);
+            const p = chart.config.series[si].points[pi];
+            const [a, b] = chart.view || chart.full;
+            chart.focusKey = key;
+            if (p.x < a || p.x > b) setView(p.x - (b - a) / 2, p.x + (b - a) / 2);
+            const hit = chart.hits.get(key);
+            if (!hit) return;
+            chart.hits.forEach(h => h.setAttribute('tabindex', '-1'));
+            hit.setAttribute('tabindex', '0');
+            hit.focus();
+        }
+
+        // Every focusable point in x order, with its series index
+        function pointOrder() {
+            return chart.config.series.flatMap((s, si) => s.band || s.showPoints === false ? []
+                : s.points.map((p, pi) => ({ key: `${si}:${pi}`, si, x: p.x, y: p.y })))
+                .filter(o => Number.isFinite(o.x) && Number.isFinite(o.y))
+                .sort((a, b) => a.x - b.x || a.si - b.si);
+        }
+
+        on('keydown', e => {
+            const hit = e.target.closest && e.target.closest('.sim-chart-hit');
+            if (!hit) return;
+            const order = pointOrder();
+            const i = order.findIndex(o => o.key === hit.getAttribute('data-key'));
+            if (i < 0) return;
+            const cur = order[i];
+            let next = null;
+            if (e.key === 'ArrowRight') next = order[i + 1];
+            else if (e.key === 'ArrowLeft') next = order[i - 1];
+            else if (e.key === 'Home') next = order[0];
+            else if (e.key === 'End') next = order[order.length - 1];
+            else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                // Nearest point of the next series up or down
+                const ids = [...new Set(order.map(o => o.si))].sort((a, b) => a - b);
+                const si = ids[ids.indexOf(cur.si) + (e.key === 'ArrowDown' ? 1 : -1)];
+                if (si !== undefined) {
+                    next = order.filter(o => o.si === si)
+                        .reduce((best, o) => !best || Math.abs(o.x - cur.x) < Math.abs(best.x - cur.x) ? o : best, null);
+                }
+            } else if ((e.key === '+' || e.key === '=' || e.key === '-') && chart.config.zoom) {
+                zoomAt(e.key === '-' ? 1.25 : 0.8, cur.x);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                hit.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            } else if (e.key === 'Escape') {
+                chart.tooltip.style.display = 'none';
+            } else {
+                return;
+            }
+            e.preventDefault();
+            if (next) focusPoint(next.key);
+        });
+
+        // ── Zoom & pan ──
+        const minSpan = () => chart.config.x.minSpan || (chart.full[1] - chart.full[0]) / 50;
+
+        function setView(a, b) {
+            const [f0, f1] = chart.full;
+            let span = Math.max(minSpan(), Math.min(b - a, f1 - f0));
+            if (a < f0) a = f0;
+            if (a + span > f1) a = f1 - span;
+            const next = span >= f1 - f0 - 1e-9 ? null : [a, a + span];
+            const prev = chart.view;
+            if (prev === next || (prev && next && prev[0] === next[0] && prev[1] === next[1])) return;
+            chart.view = next;
+            chart.tooltip.style.display = 'none';
+            render();
+            if (chart.config.onViewChange) chart.config.onViewChange(chart.view);
+        }
+
+        function zoomAt(factor, center) {
+            const [a, b] = chart.view || chart.full;
+            const c = center === undefined ? (a + b) / 2 : center;
+            setView(c - (c - a) * factor, c + (b - c) * factor);
+        }
+
+        // Data x under a client x position in the main plot
+        function xAtClient(clientX) {
+            const r = chart.svg.getBoundingClientRect();
+            const px = (clientX - r.left) * (chart.width / (r.width || chart.width));
+            return chart.scales.x.invert(px);
+        }
+
+        if (chart.config.zoom) {
+            on('wheel', e => {
+                if (!e.target.closest || !e.target.closest('svg.sim-chart')) return;
+                e.preventDefault();
+                zoomAt(e.deltaY > 0 ? 1.2 : 1 / 1.2, xAtClient(e.clientX));
+            }, { passive: false });
+
+            // One pointer pans, two pointers pinch-zoom
+            const pointers = new Map();
+            let gesture = null;
+            const startGesture = () => {
+                const pts = [...pointers.values()];
+                const view = chart.view || chart.full;
+                gesture = pts.length === 1
+                    ? { kind: 'pan', x: pts[0].clientX, view }
+                    : { kind: 'pinch', dist: Math.abs(pts[0].clientX - pts[1].clientX) || 1,
+                        center: xAtClient((pts[0].clientX + pts[1].clientX) / 2), view };
+            };
+
+            on('pointerdown', e => {
+                if (!e.target.closest('svg.sim-chart') || e.target.closest('.sim-chart-hit')) return;
+                pointers.set(e.pointerId, e);
+                container.setPointerCapture(e.pointerId);
+                container.classList.add('sim-chart-dragging');
+                startGesture();
+            });
+            on('pointermove', e => {
+                if (!pointers.has(e.pointerId) || !gesture) return;
+                pointers.set(e.pointerId, e);
+                const [a, b] = gesture.view;
+                if (gesture.kind === 'pan') {
+                    const r = chart.svg.getBoundingClientRect();
+                    const plotW = (chart.width - chart.config.padding.left - chart.config.padding.right) * ((r.width || chart.width) / chart.width);
+                    const dx = -(e.clientX - gesture.x) / plotW * (b - a);
+                    setView(a + dx, b + dx);
+                } else if (pointers.size >= 2) {
+                    const pts = [...pointers.values()];
+                    const factor = gesture.dist / (Math.abs(pts[0].clientX - pts[1].clientX) || 1);
+                    const c = gesture.center;
+                    setView(c - (c - a) * factor, c + (b - c) * factor);
+                }
+            });
+            const endPointer = e => {
+                if (!pointers.delete(e.pointerId)) return;
+                if (pointers.size) startGesture();
+                else { gesture = null; container.classList.remove('sim-chart-dragging'); }
+            };
+            on('pointerup', endPointer);
+            on('pointercancel', endPointer);
+        }
+
+        // ── Brush strip: overview of the full range with a draggable window ──
+        function renderBrush(W) {
+            const cfg = chart.config;
+            const PAD = cfg.padding;
+            const BH = 46;
+            const [f0, f1] = chart.full;
+            const [v0, v1] = chart.view || chart.full;
+            const bx = makeScale(cfg.x, f0, f1, PAD.left, W - PAD.right);
+            const overview = cfg.series.filter(s => s.brush);
+            const values = seriesValues(overview).map(p => p.y);
+            const [y0, y1] = resolveDomain(Object.assign({}, cfg.y, { min: undefined, max: undefined }), values);
+            const by = makeScale(cfg.y, y0, y1, BH - 6, 6);
+
+            const svg = el('svg', { viewBox: `0 0 ${W} ${BH}`, class: 'sim-chart-brush', 'aria-label': 'Year range' });
+            svg.style.cssText = 'width:100%;height:auto;display:block;touch-action:none;';
+            el('rect', { x: PAD.left, y: 1, width: W - PAD.left - PAD.right, height: BH - 2, class: 'sim-brush-track' }, svg);
+            overview.forEach(s => {
+                const pts = s.points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+                if (pts.length < 2) return;
+                el('path', {
+                    d: pts.map((p, i) => `${i === 0 ? 'M' : 'L'} ${bx(p.x)} ${by(p.y)}`).join(' '),
+                    fill: 'none', stroke: s.color || 'var(--blue)', 'stroke-width': 1.5,
+                }, svg);
+            });
+            bx.ticks(Math.max(2, Math.floor((W - PAD.left - PAD.right) / 70))).forEach(v => {
+                const t = el('text', { x: bx(v), y: BH - 4, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+                t.style.fontSize = '9px';
+                t.textContent = bx.format(v);
+            });
+            const wx0 = bx(v0), wx1 = bx(v1);
+            el('rect', { x: wx0, y: 1, width: Math.max(2, wx1 - wx0), height: BH - 2, class: 'sim-brush-window', 'data-brush': 'move' }, svg);
+            [['left', wx0], ['right', wx1]].forEach(([side, x]) => {
+                el('rect', { x: x - 4, y: 1, width: 8, height: BH - 2, class: 'sim-brush-handle', 'data-brush': side }, svg);
+            });
+
+            if (chart.brush && chart.brush.parentNode === container) container.replaceChild(svg, chart.brush);
+            else container.appendChild(svg);
+            chart.brush = svg;
+            chart.brushScale = bx;
+        }
+
+        let brushDrag = null;
+        const brushX = clientX => {
+            const r = chart.brush.getBoundingClientRect();
+            return chart.brushScale.invert((clientX - r.left) * (chart.width / (r.width || chart.width)));
+        };
+        if (chart.config.brush) {
+            on('pointerdown', e => {
+                if (!e.target.closest('svg.sim-chart-brush')) return;
+                const at = brushX(e.clientX);
+                const mode = e.target.getAttribute('data-brush') || 'new';
+                brushDrag = { mode, start: at, view: chart.view || chart.full };
+                container.setPointerCapture(e.pointerId);
+                e.preventDefault();
+            });
+            on('pointermove', e => {
+                if (!brushDrag) return;
+                const at = brushX(e.clientX);
+                const [a, b] = brushDrag.view;
+                if (brushDrag.mode === 'move') setView(a + at - brushDrag.start, b + at - brushDrag.start);
+                else if (brushDrag.mode === 'left') setView(Math.min(at, b - minSpan()), b);
+                else if (brushDrag.mode === 'right') setView(a, Math.max(at, a + minSpan()));
+                else setView(Math.min(at, brushDrag.start), Math.max(at, brushDrag.start, Math.min(at, brushDrag.start) + minSpan()));
+            });
+            const endBrush = () => { brushDrag = null; };
+            on('pointerup', endBrush);
+            on('pointercancel', endBrush);
+        }
+
+        let lastWidth = 0;
+        const ro = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => {
+            const w = container.clientWidth;
+            if (w && Math.abs(w - lastWidth) > 1) { lastWidth = w; render(); }
+        }) : null;
+        if (ro) ro.observe(container);
+
+        render();
+        lastWidth = container.clientWidth;
+
+        return {
+            get svg() { return chart.svg; },
+            get config() { return chart.config; },
+            get scales() { return chart.scales; },
+            get view() { return chart.view ? chart.view.slice() : null; },
+            onRender: fn => { chart.renderHooks.push(fn); },
+            rows: () => chart.config.exportRows
+                ? chart.config.exportRows(chart.view || chart.full)
+                : visibleRows(chart.config.series, chart.view || chart.full),
+            update(partial) {
+                Object.assign(chart.config, partial);
+                render();
+            },
+            setView: (a, b) => setView(a, b),
+            resetView: () => setView(chart.full[0], chart.full[1]),
+            zoom: factor => zoomAt(factor),
+            render,
+            destroy() {
+                if (ro) ro.disconnect();
+                listeners.abort();
+                container.innerHTML = '';
+            },
+        };
+    }
+
+    // One row per point inside the x range, bands as y0/y1
+    function visibleRows(series, [x0, x1]) {
+        return series.flatMap(s => s.band
+            ? s.band.filter(b => b.x >= x0 && b.x <= x1).map(b => ({ series: s.name || s.id, x: b.x, y0: b.y0, y1: b.y1 }))
+            : s.points.filter(p => p.x >= x0 && p.x <= x1).map(p => ({ series: s.name || s.id, label: p.label || '', x: p.x, y: p.y })));
+    }
+
+    // Every {x, y} a set of series draws, for sizing domains
+    function seriesValues(series) {
+        return series.flatMap(s => (s.points || [])
+            .concat(s.connectFrom ? [s.connectFrom] : [])
+            .concat((s.band || []).flatMap(b => [{ x: b.x, y: b.y0 }, { x: b.x, y: b.y1 }])));
+    }
+
+    // Point labels, key points first: above the point, else below, else
+    // dropped, so no two labels overlap at any zoom level
+    function placeLabels(svg, labels, left, right, top, bottom) {
+        const placed = [];
+        const hits = box => placed.some(o => box.x0 < o.x1 && box.x1 > o.x0 && box.y0 < o.y1 && box.y1 > o.y0);
+        labels
+            .sort((a, b) => (b.key - a.key) || (a.x - b.x))
+            .forEach(l => {
+                const w = l.text.length * 5.6 + 4;
+                const x = Math.max(left + w / 2, Math.min(right - w / 2, l.x));
+                const spot = [l.y - 11, l.y + 20]
+                    .map(y => ({ y, x0: x - w / 2, x1: x + w / 2, y0: y - 9, y1: y + 2 }))
+                    .find(b => b.y0 >= top && b.y1 <= bottom && !hits(b));
+                if (!spot) return;
+                placed.push(spot);
+                const t = el('text', { x, y: spot.y, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+                t.style.cssText = `font-size:9.5px;font-weight:700;fill:${l.color};pointer-events:none;`;
+                t.textContent = l.text;
+            });
+    }
+
+    function drawAxes(svg, cfg, xs, ys, W, H, PAD) {
+        const CW = W - PAD.left - PAD.right;
+        const CH = H - PAD.top - PAD.bottom;
+
+        // Y grid + labels
+        ys.ticks(Math.max(2, Math.floor(CH / 22))).forEach(v => {
+            const y = ys(v);
+            el('line', { x1: PAD.left, y1: y, x2: PAD.left + CW, y2: y, class: 'svg-gridline' }, svg);
+            const t = el('text', { x: PAD.left - 8, y: y + 4, 'text-anchor': 'end', class: 'svg-label' }, svg);
+            t.style.fontSize = '10px';
+            t.textContent = ys.format(v);
+        });
+
+        if (cfg.y.title) {
+            const t = el('text', { transform: 'rotate(-90)', x: -(PAD.top + CH / 2), y: 14, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+            t.style.fontSize = '10px';
+            t.textContent = cfg.y.title;
+        }
+
+        // X ticks + labels, roughly one per 70px
+        xs.ticks(Math.max(2, Math.floor(CW / 70))).forEach(v => {
+            const x = xs(v);
+            el('line', { x1: x, y1: PAD.top + CH, x2: x, y2: PAD.top + CH + 4, class: 'svg-gridline' }, svg);
+            const t = el('text', { x, y: PAD.top + CH + 17, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+            t.style.fontSize = '10px';
+            t.textContent = xs.format(v);
+        });
+
+        if (cfg.x.title) {
+            const t = el('text', { x: PAD.left + CW / 2, y: H - 12, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+            t.style.fontSize = '10px';
+            t.textContent = cfg.x.title;
+        }
+
+        el('line', { x1: PAD.left, y1: PAD.top, x2: PAD.left, y2: PAD.top + CH, class: 'svg-axis' }, svg);
+        el('line', { x1: PAD.left, y1: PAD.top + CH, x2: PAD.left + CW, y2: PAD.top + CH, class: 'svg-axis' }, svg);
+    }
+
+    // Shaded range between y0 and y1, e.g. a projection interval
+    function drawBand(svg, series, xs, clampY) {
+        const band = series.band.filter(b => Number.isFinite(b.x) && Number.isFinite(b.y0) && Number.isFinite(b.y1));
+        if (band.length < 2) return;
+        const upper = band.map((b, i) => `${i === 0 ? 'M' : 'L'} ${xs(b.x)} ${clampY(b.y1)}`).join(' ');
+        const lower = band.slice().reverse().map(b => `L ${xs(b.x)} ${clampY(b.y0)}`).join(' ');
+        const path = el('path', {
+            d: `${upper} ${lower} Z`,
+            fill: series.color || 'var(--blue)',
+            'fill-opacity': series.opacity || 0.12,
+            class: 'sim-chart-band',
+        }, svg);
+        path.style.pointerEvents = 'none';
+    }
+
+    function drawPoint(svg, chart, series, p, x, y, color, muted) {
+        const cfg = chart.config;
+        const isKey = series.keyPoint ? series.keyPoint(p) : false;
+        const r = isKey ? 6 : 4;
+
+        if (isKey && !muted) {
+            const ring = el('circle', { cx: x, cy: y, r: 12, fill: color, 'fill-opacity': 0.07 }, svg);
+            ring.style.pointerEvents = 'none';
+        }
+        const dot = el('circle', {
+            cx: x, cy: y, r, fill: 'var(--bg)', stroke: color,
+            'stroke-width': isKey ? 2.5 : 2, class: `sim-chart-node${muted ? ' sim-chart-muted' : ''}`,
+        }, svg);
+
+        const clickable = Boolean(cfg.onClick) && (!series.clickable || series.clickable(p));
+        const hit = el('circle', {
+            cx: x, cy: y, r: isKey ? 14 : 9, fill: 'transparent', class: 'sim-chart-hit', 'data-export': 'skip',
+            tabindex: -1, role: clickable ? 'button' : 'img',
+            'aria-label': describePoint(chart, p, series) + (muted ? ' (filtered out)' : ''),
+        }, svg);
+        hit.style.cursor = clickable ? 'pointer' : 'crosshair';
+
+        hit.addEventListener('mouseenter', e => {
+            dot.setAttribute('r', r + 2);
+            showTooltip(chart, p, series, e);
+            if (cfg.onHover) cfg.onHover(p, series);
+        });
+        hit.addEventListener('mousemove', e => positionTooltip(chart, e));
+        hit.addEventListener('mouseleave', () => {
+            dot.setAttribute('r', r);
+            chart.tooltip.style.display = 'none';
+            if (cfg.onHover) cfg.onHover(null, series);
+        });
+        if (clickable) hit.addEventListener('click', () => cfg.onClick(p, series));
+
+        // Keyboard focus opens the same tooltip, anchored to the point
+        hit.addEventListener('focus', () => {
+            chart.focusKey = hit.getAttribute('data-key');
+            dot.setAttribute('r', r + 2);
+            const b = hit.getBoundingClientRect();
+            showTooltip(chart, p, series, { clientX: b.left + b.width / 2, clientY: b.top + b.height / 2 });
+            if (cfg.onHover) cfg.onHover(p, series);
+        });
+        hit.addEventListener('blur', () => {
+            dot.setAttribute('r', r);
+            chart.tooltip.style.display = 'none';
+            if (cfg.onHover) cfg.onHover(null, series);
+        });
+        return hit;
+    }
+
+    // "Confirmed: GPT-3, 2020, 3.1×10²³" unless the chart supplies its own text
+    function describePoint(chart, p, series) {
+        if (chart.config.describe) return chart.config.describe(p, series);
+        const { x, y } = chart.scales;
+        return `${series.name || series.id}: ${p.label ? `${p.label}, ` : ''}${x.format(p.x)}, ${y.format(p.y)}`;
+    }
+
+    function showTooltip(chart, point, series, e) {
+        const tip = chart.tooltip;
+        const fn = chart.config.tooltip;
+        const html = fn ? fn(point, series) : `<div class="gt-model">${Safe.text(point.label)}</div>`;
+        if (!html) return;
+        tip.innerHTML = html;
+        tip.style.display = 'block';
+        if (e) positionTooltip(chart, e);
+    }
+
+    function positionTooltip(chart, e) {
+        const tip = chart.tooltip;
+        const r = chart.container.getBoundingClientRect();
+        let x = e.clientX - r.left + 14;
+        let y = e.clientY - r.top - 52;
+        const tw = tip.offsetWidth || 190;
+        if (x + tw > r.width - 8) x = e.clientX - r.left - tw - 14;
+        if (y < 4) y = e.clientY - r.top + 16;
+        tip.style.left = x + 'px';
+        tip.style.top = y + 'px';
+    }
+
+    function animateLine(path) {
+        requestAnimationFrame(() => {
+            try {
+                const len = path.getTotalLength();
+                path.style.strokeDasharray = len;
+                path.style.strokeDashoffset = len;
+                path.style.transition = 'stroke-dashoffset 2s cubic-bezier(0.4, 0, 0.2, 1)';
+                requestAnimationFrame(() => { path.style.strokeDashoffset = '0'; });
+            } catch (e) {}
+        });
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Stacked bars
+    // ──────────────────────────────────────────────────────────
+    const BAR_DEFAULTS = {
+        height: 200,
+        minWidth: 320,
+        padding: { top: 18, right: 20, bottom: 40, left: 44 },
+        categories: [],
+        stacks: [],
+        categoryLabel: null,
+        tooltip: null,
+        legend: null,
+        y: { title: null },
+        label: null,    // accessible name of the chart
+        categoryTitle: null, // data table heading for the category column
+    };
+
+    function bars(container, userConfig) {
+        const chart = {
+            container,
+            config: Object.assign({}, BAR_DEFAULTS, userConfig),
+            svg: null,
+            tooltip: null,
+            hidden: new Set(userConfig.hidden || []),
+            hasAnimated: false,
+            bars: new Map(),  // "category:stack" -> focusable bar segment
+            focusKey: null,
+            renderHooks: [],
+        };
+        chart.config.padding = Object.assign({}, BAR_DEFAULTS.padding, userConfig.padding);
+
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+        chart.tooltip = document.createElement('div');
+        chart.tooltip.className = 'graph-tooltip';
+        chart.tooltip.style.display = 'none';
+        container.appendChild(chart.tooltip);
+
+        function render() {
+            const cfg = chart.config;
+            const W = Math.max(container.clientWidth || 860, cfg.minWidth);
+            const H = cfg.height;
+            const PAD = cfg.padding;
+            const CW = W - PAD.left - PAD.right;
+            const CH = H - PAD.top - PAD.bottom;
+            const n = cfg.categories.length;
+            const visible = cfg.stacks.filter(s => !chart.hidden.has(s.id));
+
+            const totals = cfg.categories.map((_, i) => visible.reduce((sum, s) => sum + (s.values[i] || 0), 0));
+            const ys = makeScale({ type: 'linear', format: v => String(v) }, 0, Math.max(1, ...totals), PAD.top + CH, PAD.top);
+            const gap = CW / Math.max(n, 1);
+            const barW = Math.max(2, Math.min(40, gap * 0.7));
+
+            const hadFocus = Boolean(chart.svg && chart.svg.contains(document.activeElement));
+            const svg = el('svg', {
+                viewBox: `0 0 ${W} ${H}`, class: 'sim-chart', role: 'group',
+                'aria-label': `${cfg.label || 'Bar chart'}. Arrow keys move between bars.`,
+            });
+            svg.style.cssText = 'width:100%;height:auto;display:block;overflow:visible;';
+            if (cfg.title) el('title', {}, svg).textContent = cfg.title;
+            chart.bars = new Map();
+
+            ys.ticks(Math.max(2, Math.floor(CH / 30))).filter(v => Number.isInteger(v)).forEach(v => {
+                const y = ys(v);
+                el('line', { x1: PAD.left, y1: y, x2: PAD.left + CW, y2: y, class: 'svg-gridline' }, svg);
+                const t = el('text', { x: PAD.left - 6, y: y + 4, 'text-anchor': 'end', class: 'svg-label' }, svg);
+                t.style.fontSize = '10px';
+                t.textContent = ys.format(v);
+            });
+            if (cfg.y.title) {
+                const t = el('text', { transform: 'rotate(-90)', x: -(PAD.top + CH / 2), y: 11, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+                t.style.fontSize = '10px';
+                t.textContent = cfg.y.title;
+            }
+
+            // Thin out category labels so they never overlap (~48px each)
+            const every = Math.max(1, Math.ceil(48 / gap));
+            cfg.categories.forEach((cat, i) => {
+                const label = cfg.categoryLabel ? cfg.categoryLabel(cat, i) : (i % every === 0 ? cat : null);
+                if (!label) return;
+                const t = el('text', { x: PAD.left + i * gap + gap / 2, y: PAD.top + CH + 15, 'text-anchor': 'middle', class: 'svg-label' }, svg);
+                t.style.fontSize = '10px';
+                t.textContent = label;
+            });
+
+            const animate = !chart.hasAnimated;
+            cfg.categories.forEach((cat, i) => {
+                const x = PAD.left + i * gap + (gap - barW) / 2;
+                let base = 0;
+                visible.forEach(stack => {
+                    const v = stack.values[i] || 0;
+                    if (!v) return;
+                    const y = ys(base + v), h = ys(base) - y;
+                    base += v;
+                    const key = `${i}:${stack.id}`;
+                    const rect = el('rect', {
+                        x, y, width: barW, height: h, fill: stack.color, class: 'sim-chart-bar',
+                        tabindex: -1, role: 'img', 'aria-label': `${cat}, ${stack.name}: ${v}`, 'data-key': key,
+                    }, svg);
+                    chart.bars.set(key, rect);
+                    if (animate) {
+                        rect.setAttribute('y', PAD.top + CH);
+                        rect.setAttribute('height', 0);
+                        requestAnimationFrame(() => {
+                            rect.style.transition = `y .6s ${i * 0.015}s ease, height .6s ${i * 0.015}s ease`;
+                            rect.setAttribute('y', y);
+                            rect.setAttribute('height', h);
+                        });
+                    }
+                    const show = e => {
+                        rect.style.opacity = '0.75';
+                        const html = cfg.tooltip ? cfg.tooltip(i, stack) : `<div class="gt-model">${Safe.text(cat)}</div><div class="gt-row"><span>${Safe.text(stack.name)}</span><strong>${Safe.text(v)}</strong></div>`;
+                        if (!html) return;
+                        chart.tooltip.innerHTML = html;
+                        chart.tooltip.style.display = 'block';
+                        positionTooltip(chart, e);
+                    };
+                    const hide = () => {
+                        rect.style.opacity = '';
+                        chart.tooltip.style.display = 'none';
+                    };
+                    rect.addEventListener('mouseenter', show);
+                    rect.addEventListener('mousemove', e => positionTooltip(chart, e));
+                    rect.addEventListener('mouseleave', hide);
+                    rect.addEventListener('focus', () => {
+                        chart.focusKey = key;
+                        const b = rect.getBoundingClientRect();
+                        show({ clientX: b.left + b.width / 2, clientY: b.top });
+                    });
+                    rect.addEventListener('blur', hide);
+                });
+            });
+
+            el('line', { x1: PAD.left, y1: PAD.top + CH, x2: PAD.left + CW, y2: PAD.top + CH, class: 'svg-axis' }, svg);
+
+            chart.hasAnimated = true;
+            if (chart.svg) container.replaceChild(svg, chart.svg); else container.appendChild(svg);
+            chart.svg = svg;
+            renderLegend();
+
+            const stop = chart.bars.get(chart.focusKey) || chart.bars.values().next().value;
+            if (stop) stop.setAttribute('tabindex', '0');
+            if (hadFocus && stop) stop.focus();
+            chart.renderHooks.forEach(fn => fn());
+        }
+
+        // Left/right across categories, up/down through the stack
+        const onKey = e => {
+            const rect = e.target.closest && e.target.closest('.sim-chart-bar');
+            if (!rect) return;
+            const keys = [...chart.bars.keys()];
+            const [cat, id] = rect.getAttribute('data-key').split(':');
+            const i = Number(cat);
+            const inCat = c => keys.filter(k => k.startsWith(`${c}:`));
+            let next = null;
+            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                const dir = e.key === 'ArrowRight' ? 1 : -1;
+                for (let c = i + dir; c >= 0 && c < chart.config.categories.length && !next; c += dir) {
+                    const ks = inCat(c);
+                    next = ks.find(k => k === `${c}:${id}`) || ks[0];
+                }
+            } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                const ks = inCat(i);
+                next = ks[ks.indexOf(rect.getAttribute('data-key')) + (e.key === 'ArrowUp' ? 1 : -1)];
+            } else if (e.key === 'Home') next = keys[0];
+            else if (e.key === 'End') next = keys[keys.length - 1];
+            else if (e.key === 'Escape') chart.tooltip.style.display = 'none';
+            else return;
+            e.preventDefault();
+            if (!next) return;
+            chart.bars.forEach(b => b.setAttribute('tabindex', '-1'));
+            const target = chart.bars.get(next);
+            target.setAttribute('tabindex', '0');
+            target.focus();
+        };
+        container.addEventListener('keydown', onKey);
+
+        // One toggle button per stack; hidden stacks drop out of the totals
+        function renderLegend() {
+            const legend = chart.config.legend;
+            if (!legend) return;
+            legend.innerHTML = '';
+            chart.config.stacks.forEach(stack => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'chart-legend-toggle';
+                const on = !chart.hidden.has(stack.id);
+                btn.setAttribute('aria-pressed', String(on));
+                const dot = document.createElement('span');
+                dot.className = 'legend-dot';
+                dot.style.background = stack.color;
+                btn.appendChild(dot);
+                btn.append(stack.name);
+                btn.addEventListener('click', () => {
+                    if (on) chart.hidden.add(stack.id); else chart.hidden.delete(stack.id);
+                    render();
+                });
+                legend.appendChild(btn);
+            });
+        }
+
+        let lastWidth = 0;
+        const ro = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => {
+            const w = container.clientWidth;
+            if (w && Math.abs(w - lastWidth) > 1) { lastWidth = w; render(); }
+        }) : null;
+        if (ro) ro.observe(container);
+
+        render();
+        lastWidth = container.clientWidth;
+
+        return {
+            get svg() { return chart.svg; },
+            get config() { return chart.config; },
+            get hidden() { return new Set(chart.hidden); },
+            onRender: fn => { chart.renderHooks.push(fn); },
+            rows: () => {
+                const visible = chart.config.stacks.filter(st => !chart.hidden.has(st.id));
+                return chart.config.categories.flatMap((cat, i) =>
+                    visible.map(st => ({ category: cat, series: st.name, value: st.values[i] || 0 })));
+            },
+            // One row per category, one column per visible stack, for the data table
+            tableRows: () => {
+                const visible = chart.config.stacks.filter(st => !chart.hidden.has(st.id));
+                return chart.config.categories.map((cat, i) => {
+                    const row = { [chart.config.categoryTitle || 'Category']: cat };
+                    visible.forEach(st => { row[st.name] = st.values[i] || 0; });
+                    row.Total = visible.reduce((sum, st) => sum + (st.values[i] || 0), 0);
+                    return row;
+                });
+            },
+            update(partial) {
+                Object.assign(chart.config, partial);
+                render();
+            },
+            render,
+            destroy() {
+                if (ro) ro.disconnect();
+                container.removeEventListener('keydown', onKey);
+                container.innerHTML = '';
+                if (chart.config.legend) chart.config.legend.innerHTML = '';
+            },
+        };
+    }
+
+    window.SimChart = { create, bars, makeScale, powerOfTen };
+
+})();
@@ -0,0 +1,330 @@
+/* js/compute-chart.js — Training-compute chart with a fitted trend
+ *
+ * Shared by the home page and /metrics/ai-compute/. Fits an exponential
+ * (a straight line in log10 FLOPs) to the confirmed compute points, shows
+ * the implied doubling time, and projects it forward under three scenarios
+ * with a 95% prediction band. Readers can zoom (wheel, pinch, the brush
+ * strip under the chart), switch the y axis between log and linear, and
+ * export the current view as SVG/PNG or its points as CSV/JSON.
+ *
+ *   ComputeChart.mount(container, data, {        // data from AIModels.load
+ *       onSelectModel: modelId => {},             // click on a key node
+ *   });
+ */
+(function () {
+
+    const PROJECT_TO = 2030;
+
+    // Two-sided 95% Student t quantiles for 1..30 degrees of freedom
+    const T95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+    // Growth rate used for the projection, per scenario
+    const SCENARIOS = {
+        conservative: { label: 'Conservative', note: 'lower 95% bound on the growth rate', slope: fit => fit.slope - fit.t * fit.slopeSE },
+        baseline:     { label: 'Baseline',     note: 'fitted growth rate',                 slope: fit => fit.slope },
+        aggressive:   { label: 'Aggressive',   note: 'upper 95% bound on the growth rate', slope: fit => fit.slope + fit.t * fit.slopeSE },
+    };
+
+
+    /**
+     * Least-squares fit of log10(flops) against year. Returns null with fewer
+     * than three points (no residual degrees of freedom worth reporting).
+     */
+    function fitTrend(points) {
+        const n = points.length;
+        if (n < 3) return null;
+        const xs = points.map(p => p.year);
+        const ys = points.map(p => Math.log10(p.flops));
+        const xMean = xs.reduce((a, b) => a + b, 0) / n;
+        const yMean = ys.reduce((a, b) => a + b, 0) / n;
+
+        let sxx = 0, sxy = 0, syy = 0;
+        xs.forEach((x, i) => {
+            sxx += (x - xMean) ** 2;
+            sxy += (x - xMean) * (ys[i] - yMean);
+            syy += (ys[i] - yMean) ** 2;
+        });
+        if (sxx === 0) return null;
+
+        const slope = sxy / sxx;
+        const intercept = yMean - slope * xMean;
+        const sse = ys.reduce((sum, y, i) => sum + (y - (intercept + slope * xs[i])) ** 2, 0);
+        const df = n - 2;
+        const se = Math.sqrt(sse / df);
+        const t = T95[df - 1] || 1.96;
+
+        return {
+            n, df, t, slope, intercept, se, xMean, sxx,
+            slopeSE: se / Math.sqrt(sxx),
+            r2: syy ? 1 - sse / syy : 1,
+            lastYear: Math.max(...xs),
+            predict: x => intercept + slope * x,
+            // Half-width of the 95% prediction interval at x, in log10 units
+            halfWidth: x => t * se * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx),
+        };
+    }
+
+    /** Months for compute to double at a growth rate of `slope` decades/year. */
+    function doublingMonths(slope) {
+        return slope > 0 ? 12 * Math.log10(2) / slope : Infinity;
+    }
+
+    // log10 distance from the fitted line as "2.3× above trend"
+    function deviationText(fit, point) {
+        const dev = Math.log10(point.flops) - fit.predict(point.year);
+        const factor = Math.pow(10, Math.abs(dev));
+        if (factor < 1.1) return 'On trend';
+        return `${factor < 10 ? factor.toFixed(1) : Math.round(factor)}× ${dev > 0 ? 'above' : 'below'} trend`;
+    }
+
+    // Tick steps in years: monthly up to five-yearly
+    const YEAR_STEPS = [1 / 12, 0.25, 0.5, 1, 2, 5];
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    // 2024 for whole years, "Jul 2024" in between
+    function formatYear(v) {
+        const year = Math.floor(v + 1e-6);
+        const month = Math.round((v - year) * 12);
+        if (month === 0) return String(year);
+        if (month === 12) return String(year + 1);
+        return `${MONTHS[month]} ${year}`;
+    }
+
+    function formatMonths(m) {
+        return Number.isFinite(m) ? `${m.toFixed(1)} months` : 'n/a';
+    }
+
+    // Charts already mounted, so a re-mount tears the old one down first
+    const mounted = new WeakMap();
+
+    function mount(container, data, options) {
+        options = options || {};
+        if (!container || !window.SimChart) return null;
+        if (mounted.has(container)) mounted.get(container).chart.destroy();
+        container.innerHTML = '';
+        if (!data.points.length) {
+            container.innerHTML = '<div class="empty-state">Compute data is unavailable.</div>';
+            return null;
+        }
+
+        const points = data.points.map(p => Object.assign({ x: p.year, y: p.flops }, p));
+        const real = points.filter(p => p.real);
+        const projected = points.filter(p => !p.real);
+        const fit = fitTrend(real);
+        const isKey = p => Boolean(p.model);
+        const keyLabel = p => isKey(p) ? p.label.split('/')[0].trim() : null;
+        let scenario = 'baseline';
+        let scale = 'log';
+        let view = null;
+        let exporter = null, tableToggle = null;
+        // match(point) => false fades a node; hideProjected drops the forecast
+        let filter = { match: null, hideProjected: false };
+        const muted = p => Boolean(filter.match && !filter.match(p));
+
+        const controls = document.createElement('div');
+        controls.className = 'compute-controls';
+        container.appendChild(controls);
+
+        function projection() {
+            if (!fit) return null;
+            const slope = SCENARIOS[scenario].slope(fit);
+            const x0 = fit.lastYear;
+            const y0 = fit.predict(x0);
+            const steps = 12;
+            const line = [], band = [];
+            for (let i = 0; i <= steps; i++) {
+                const x = x0 + (PROJECT_TO - x0) * i / steps;
+                const mid = y0 + slope * (x - x0);
+                const hw = fit.halfWidth(x);
+                line.push({ x, y: Math.pow(10, mid) });
+                band.push({ x, y0: Math.pow(10, mid - hw), y1: Math.pow(10, mid + hw) });
+            }
+            return { slope, line, band, end: y0 + slope * (PROJECT_TO - x0), endHW: fit.halfWidth(PROJECT_TO) };
+        }
+
+        function series() {
+            const proj = filter.hideProjected ? null : projection();
+            const list = [];
+            if (proj) {
+                list.push({ id: 'band', name: '95% projection band', color: 'var(--amber)', opacity: 0.1, band: proj.band });
+            }
+            if (fit) {
+                list.push({
+                    id: 'trend', name: 'Fitted trend', color: 'var(--ink-4)', dashed: true, strokeWidth: 1.5, opacity: 0.9,
+                    showPoints: false,
+                    points: [real[0].year, fit.lastYear].map(x => ({ x, y: Math.pow(10, fit.predict(x)) })),
+                });
+            }
+            list.push({ id: 'real', name: 'Confirmed', color: 'var(--blue)', area: true, brush: true,
+                points: real, keyPoint: isKey, pointLabel: keyLabel, clickable: isKey, muted });
+            if (proj) {
+                list.push({ id: 'projection', name: `${SCENARIOS[scenario].label} projection`, color: 'var(--amber)',
+                    dashed: true, showPoints: false, points: proj.line });
+            }
+            if (!filter.hideProjected) {
+                list.push({ id: 'projected', name: 'Projected', color: 'var(--amber)', line: false,
+                    points: projected, keyPoint: isKey, pointLabel: keyLabel, clickable: isKey, muted });
+            }
+            return list;
+        }
+
+        function tooltip(p) {
+            const log = Math.log10(p.flops);
+            return `<div class="gt-model">${Safe.text(p.label)}</div>
+                <div class="gt-co">${Math.floor(p.year)}</div>
+                <div class="gt-row"><span>Compute</span><strong>10<sup>${log.toFixed(1)}</sup> FLOPs</strong></div>
+                ${fit ? `<div class="gt-row"><span>vs. trend</span><strong>${deviationText(fit, p)}</strong></div>` : ''}
+                ${!p.real ? '<div class="gt-proj">Projected</div>' : ''}
+                ${isKey(p) ? '<div style="font-size:.65rem;margin-top:.3rem;opacity:.5;">Click to jump to timeline card</div>' : ''}`;
+        }
+
+        // Sized for the aggressive band so switching scenarios keeps the axis still
+        function yMax() {
+            const maxData = Math.max(...points.map(p => Math.log10(p.flops)));
+            const top = fit
+                ? fit.predict(fit.lastYear) + SCENARIOS.aggressive.slope(fit) * (PROJECT_TO - fit.lastYear) + fit.halfWidth(PROJECT_TO)
+                : maxData;
+            return Math.pow(10, Math.min(31, Math.ceil(Math.max(top, maxData))));
+        }
+
+        function yAxis() {
+            const title = 'Training Compute (FLOPs)';
+            return scale === 'log'
+                ? { type: 'log', min: 1e19, max: yMax(), title, fitVisible: true }
+                : { type: 'linear', min: 0, max: Math.max(...points.map(p => p.flops)) * 1.1, title, fitVisible: true };
+        }
+
+        function renderControls() {
+            const seg = (label, attr, options, current) => `
+                <div class="chart-seg" role="group" aria-label="${label}">
+                    ${options.map(([key, text, note]) => `
+                        <button type="button" class="chart-seg-btn" data-${attr}="${key}" aria-pressed="${key === current}"${note ? ` title="${Safe.attr(note)}"` : ''}>${text}</button>`).join('')}
+                </div>`;
+
+            let stats = '<div class="compute-trend-stats">Not enough confirmed data points to fit a trend.</div>';
+            if (fit) {
+                const proj = projection();
+                // A faster growth rate means a shorter doubling time
+                const dtLow = doublingMonths(fit.slope + fit.t * fit.slopeSE);
+                const dtHigh = doublingMonths(fit.slope - fit.t * fit.slopeSE);
+                stats = `
+                <div class="compute-trend-stats">
+                    <span>Doubling time <strong>${formatMonths(doublingMonths(fit.slope))}</strong> (95% CI ${dtLow.toFixed(1)}–${Number.isFinite(dtHigh) ? dtHigh.toFixed(1) : '∞'})</span>
+                    <span>Fit on ${fit.n} models &middot; R² ${fit.r2.toFixed(2)}</span>
+                    <span>${SCENARIOS[scenario].label} (${formatMonths(doublingMonths(proj.slope))} doubling): 10<sup>${proj.end.toFixed(1)}</sup> FLOPs by ${PROJECT_TO} (10<sup>${(proj.end - proj.endHW).toFixed(1)}</sup>–10<sup>${(proj.end + proj.endHW).toFixed(1)}</sup>)</span>
+                </div>`;
+            }
+
+            controls.innerHTML = `
+                ${fit ? seg('Projection scenario', 'scenario', Object.entries(SCENARIOS).map(([k, sc]) => [k, sc.label, sc.note]), scenario) : ''}
+                ${seg('Y axis scale', 'scale', [['log', 'Log'], ['linear', 'Linear']], scale)}
+                <div class="chart-seg">
+                    <button type="button" class="chart-seg-btn" data-reset-zoom ${view ? '' : 'disabled'}>Reset zoom</button>
+                </div>
+                <span class="compute-view-range">${view ? `Showing ${formatYear(view[0])} – ${formatYear(view[1])}` : 'Scroll or pinch to zoom, drag to pan'}</span>
+                ${stats}`;
+            // The export menu survives re-renders so an open menu stays open
+            [exporter, tableToggle].forEach(node => {
+                if (node) controls.insertBefore(node, controls.querySelector('.compute-trend-stats'));
+            });
+
+            controls.querySelectorAll('[data-scenario]').forEach(btn => {
+                btn.addEventListener('click', () => setScenario(btn.dataset.scenario));
+            });
+            controls.querySelectorAll('[data-scale]').forEach(btn => {
+                btn.addEventListener('click', () => setScale(btn.dataset.scale));
+            });
+            controls.querySelector('[data-reset-zoom]').addEventListener('click', () => chart.resetView());
+        }
+
+        renderControls();
+        const chart = SimChart.create(container, {
+            height: 320,
+            x: { type: 'linear', min: 2018, max: PROJECT_TO, minSpan: 0.5, steps: YEAR_STEPS, format: formatYear },
+            y: yAxis(),
+            series: series(),
+            tooltip,
+            label: 'Training compute of notable AI models by year, with fitted trend and projection',
+            describe,
+            zoom: true,
+            brush: true,
+            onClick: p => { if (options.onSelectModel) options.onSelectModel(p.model); },
+            onViewChange: v => { view = v; renderControls(); },
+            exportRows,
+        });
+        exporter = SimChart.exportMenu(controls, chart, { filename: 'ai-training-compute' });
+        tableToggle = SimChart.dataTable(controls, chart, {
+            caption: 'Training compute of notable AI models (range shown in the chart)',
+            columns: [
+                { key: 'label', label: 'Model' },
+                { key: 'year', label: 'Date', format: formatYear },
+                { key: 'flops', label: 'Training compute (FLOPs)', format: v => v.toExponential(1) },
+                { key: 'real', label: 'Status', format: v => v ? 'Confirmed' : 'Projected' },
+                { key: 'vs_trend', label: 'vs. trend' },
+            ],
+        });
+        renderControls();
+
+        // Text a screen reader announces for a focused node
+        function describe(p) {
+            const [mant, exp] = p.flops.toExponential(1).split('e');
+            return `${p.label}, ${formatYear(p.year)}: ${mant} times 10 to the ${Number(exp)} FLOPs, `
+                + `${p.real ? 'confirmed' : 'projected'}${fit ? `, ${deviationText(fit, p)}` : ''}`
+                + `${isKey(p) && options.onSelectModel ? '. Press Enter to open its timeline card' : ''}`;
+        }
+
+        // The data points in view that the filter leaves, with their distance
+        // from the fitted trend: hidden projections and faded nodes are left out
+        function exportRows([x0, x1]) {
+            const shown = p => p.year >= x0 && p.year <= x1
+                && !(filter.hideProjected && !p.real) && !muted(p);
+            return points.filter(shown).map(p => ({
+                id: p.id,
+                label: p.label,
+                year: p.year,
+                flops: p.flops,
+                real: p.real,
+                model: p.model || '',
+                vs_trend: fit ? deviationText(fit, p) : '',
+            }));
+        }
+
+        function setScenario(name) {
+            if (!SCENARIOS[name] || name === scenario) return;
+            scenario = name;
+            renderControls();
+            chart.update({ series: series() });
+        }
+
+        function setScale(name) {
+            if (name !== 'log' && name !== 'linear') return;
+            if (name === scale) return;
+            scale = name;
+            renderControls();
+            chart.update({ y: yAxis() });
+        }
+
+        /** Fade nodes that fail `match` and optionally hide projections. */
+        function setFilter(next) {
+            filter = Object.assign({ match: null, hideProjected: false }, next);
+            chart.update({ series: series() });
+        }
+
+        const instance = {
+            chart,
+            fit,
+            setScenario,
+            setScale,
+            setFilter,
+            get scenario() { return scenario; },
+            get scale() { return scale; },
+        };
+        mounted.set(container, instance);
+        return instance;
+    }
+
+    window.ComputeChart = { mount, fitTrend, doublingMonths, SCENARIOS, PROJECT_TO };
+
+})();
@@ -0,0 +1,74 @@
+/* js/file-export.js — Files generated in the browser: CSV text and downloads
+ *
+ *   FileExport.toCSV([{ id: 1, title: 'A, B' }])     // 'id,title\n1,"A, B"\n'
+ *   FileExport.toCSV([{ title: '=HYPERLINK("x")' }]) // 'title\n"\'=HYPERLINK(""x"")"\n'
+ *   FileExport.download('logs.csv', csv, 'text/csv')  // string or Blob
+ *   FileExport.menu(`<button type="button" role="menuitem" data-export="csv">CSV</button>`,
+ *       (kind, button) => {})                          // "Export" dropdown
+ *
+ * Used by the chart export menu and the database export; no dependencies.
+ */
+(function () {
+
+    // Text starting with = + - @, a tab or a CR is run as a formula by Excel
+    // and Sheets; log titles come from public issues, so such cells are
+    // prefixed with ' and quoted. Numbers (e.g. -3) are left as numbers.
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    function csvCell(v) {
+        if (v === null || v === undefined) return '';
+        let s = String(v);
+        const formula = typeof v === 'string' && FORMULA_START.test(s);
+        if (formula) s = `'${s}`;
+        return formula || /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    /** Rows of flat objects -> CSV text, columns in first-seen order. */
+    function toCSV(rows) {
+        const cols = [];
+        rows.forEach(r => Object.keys(r).forEach(k => { if (!cols.includes(k)) cols.push(k); }));
+        return [cols.join(','), ...rows.map(r => cols.map(c => csvCell(r[c])).join(','))].join('\n') + '\n';
+    }
+
+    /** Save `content` (text or a Blob) as `filename` through a temporary link. */
+    function download(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * An "Export" dropdown (details.chart-export) around `items` markup.
+     * A click on an element with data-export calls onSelect(kind, element)
+     * and closes the menu, unless onSelect returns false.
+     */
+    function menu(items, onSelect, options) {
+        const details = document.createElement('details');
+        details.className = ['chart-export', options && options.className].filter(Boolean).join(' ');
+        details.innerHTML = `
+            <summary>Export</summary>
+            <div class="chart-export-menu" role="menu">${items}</div>`;
+
+        details.addEventListener('click', e => {
+            const btn = e.target.closest('[data-export]');
+            if (!btn) return;
+            if (onSelect(btn.dataset.export, btn) !== false) details.open = false;
+        });
+        // Close on an outside click; only listens while the menu is open
+        const closeOutside = e => { if (!details.contains(e.target)) details.open = false; };
+        details.addEventListener('toggle', () => {
+            if (details.open) document.addEventListener('click', closeOutside);
+            else document.removeEventListener('click', closeOutside);
+        });
+        return details;
+    }
+
+    window.FileExport = { toCSV, download, menu };
+
+})();
@@ -1,4 +1,4 @@
-/* js/home.js — Homepage article feed */
+/* js/home.js — Homepage article feed: category tabs (?cat=ai), hero, paged grid */
 
 const CAT_COLORS = {
     ai:    '#1d4ed8',
@@ -7,28 +7,86 @@ const CAT_COLORS = {
     world: '#dc2626',
 };
 
-async function loadArticles() {
-    try {
-        const res = await fetch('/articles-index.json');
-        if (!res.ok) throw new Error('articles-index.json not found');
-        return await res.json();
-    } catch (e) {
-        console.error('Failed to load articles:', e);
-        return [];
-    }
-}
+// Homepage tabs, in display order; 'all' is the default and stays out of the URL
+const CATEGORIES = [
+    ['all',   'All'],
+    ['ai',    'AI'],
+    ['space', 'Space'],
+    ['tech',  'Tech'],
+    ['world', 'World'],
+];
+
+const PAGE_SIZE = 9;
+
+let allArticles = [];
+let currentCat = 'all';
+let shownCount = PAGE_SIZE;
 
 function catClass(cls) {
     return ['ai','space','tech','world'].includes(cls) ? cls : 'ai';
 }
 
+// ?cat=space -> 'space'; anything unknown falls back to 'all'
+function catFromURL() {
+    const cat = new URLSearchParams(window.location.search).get('cat');
+    return CATEGORIES.some(([key]) => key === cat) ? cat : 'all';
+}
+
+function catURL(cat) {
+    const url = new URL(window.location.href);
+    if (cat === 'all') url.searchParams.delete('cat');
+    else url.searchParams.set('cat', cat);
+    return url.pathname + url.search + url.hash;
+}
+
+function articlesIn(cat) {
+    return cat === 'all' ? allArticles : allArticles.filter(a => catClass(a.category_class) === cat);
+}
+
+function renderTabs() {
+    const tabs = document.getElementById('category-tabs');
+    if (!tabs) return;
+
+    tabs.innerHTML = CATEGORIES.map(([key, label]) => {
+        const n = articlesIn(key).length;
+        const current = key === currentCat;
+        return `
+            <a href="${catURL(key)}" class="cat-tab${current ? ' active' : ''}" data-cat="${key}"${current ? ' aria-current="page"' : ''}>
+                ${label} <span class="cat-tab-count">${n}</span>
+            </a>`;
+    }).join('');
+
+    tabs.querySelectorAll('.cat-tab').forEach(tab => {
+        tab.addEventListener('click', e => {
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            if (tab.dataset.cat === currentCat) return;
+            history.pushState(null, '', catURL(tab.dataset.cat));
+            selectCategory(tab.dataset.cat);
+        });
+    });
+}
+
+function selectCategory(cat) {
+    currentCat = cat;
+    shownCount = PAGE_SIZE;
+    renderTabs();
+    const articles = articlesIn(cat);
+    renderHero(articles[0]);
+    renderGrid(articles);
+}
+
 function renderHero(article) {
     const section = document.getElementById('hero-section');
-    if (!section || !article) return;
+    if (!section) return;
+    if (!article) {
+        section.innerHTML = '';
+        return;
+    }
 
     const cc = catClass(article.category_class);
 
-    section.innerHTML = `
+    section.innerHTML = Safe.html`
         <div class="hero-section">
             <div class="hero-content">
                 <div class="hero-meta">
@@ -43,7 +101,7 @@ function renderHero(article) {
                     <span>&middot;</span>
                     <span>${article.reading_time}</span>
                 </div>
-                <a href="/posts/${article.slug}/" class="read-btn">Read Full Story &rarr;</a>
+                <a href="/posts/${encodeURIComponent(article.slug)}/" class="read-btn">Read Full Story &rarr;</a>
             </div>
             <div class="hero-img" aria-hidden="true">
                 <span class="hero-img-label">${article.category}</span>
@@ -51,45 +109,79 @@ function renderHero(article) {
         </div>`;
 }
 
+function articleCard(a) {
+    const cc = catClass(a.category_class);
+    return Safe.html`
+        <a href="/posts/${encodeURIComponent(a.slug)}/" class="article-card">
+            <div class="card-cat-bar ${cc}"></div>
+            <div class="card-body">
+                <div class="card-meta">
+                    <span class="cat-pill cat-${cc}">${a.category}</span>
+                    <span class="card-date">${a.date}</span>
+                </div>
+                <h3 class="card-title">${a.title}</h3>
+                <p class="card-excerpt">${a.subtitle}</p>
+                <div class="card-foot">
+                    <span>${a.author}</span>
+                    <span>${a.reading_time}</span>
+                </div>
+            </div>
+        </a>`;
+}
+
 function renderGrid(articles) {
     const grid = document.getElementById('article-grid');
     const count = document.getElementById('story-count');
     if (!grid) return;
 
     const items = articles.slice(1); // exclude hero
-    if (count) count.textContent = `${items.length} stories`;
+    if (count) count.textContent = `${articles.length} ${articles.length === 1 ? 'story' : 'stories'}`;
 
     if (items.length === 0) {
-        grid.innerHTML = '<div class="empty-state">No stories yet. Check back soon.</div>';
+        const label = currentCat === 'all' ? '' : `${CATEGORIES.find(([key]) => key === currentCat)[1]} `;
+        grid.innerHTML = `<div class="empty-state">No ${articles.length ? 'more ' : ''}${label}stories yet. Check back soon.</div>`;
+        renderLoadMore(0);
         return;
     }
 
-    grid.innerHTML = items.map(a => {
-        const cc = catClass(a.category_class);
-        return `
-            <a href="/posts/${a.slug}/" class="article-card">
-                <div class="card-cat-bar ${cc}"></div>
-                <div class="card-body">
-                    <div class="card-meta">
-                        <span class="cat-pill cat-${cc}">${a.category}</span>
-                        <span class="card-date">${a.date}</span>
-                    </div>
-                    <h3 class="card-title">${a.title}</h3>
-                    <p class="card-excerpt">${a.subtitle}</p>
-                    <div class="card-foot">
-                        <span>${a.author}</span>
-                        <span>${a.reading_time}</span>
-                    </div>
-                </div>
-            </a>`;
-    }).join('');
+    grid.innerHTML = items.slice(0, shownCount).map(articleCard).join('');
+    renderLoadMore(items.length - shownCount);
+}
+
+// Appends the next page; focus moves to the first new card for keyboard users
+function loadMore() {
+    const grid = document.getElementById('article-grid');
+    const items = articlesIn(currentCat).slice(1);
+    const next = items.slice(shownCount, shownCount + PAGE_SIZE);
+    if (!grid || !next.length) return;
+
+    grid.insertAdjacentHTML('beforeend', next.map(articleCard).join(''));
+    const first = grid.children[shownCount];
+    shownCount += next.length;
+    renderLoadMore(items.length - shownCount);
+    if (first) first.focus({ preventScroll: true });
+}
+
+function renderLoadMore(remaining) {
+    const wrap = document.getElementById('grid-more');
+    if (!wrap) return;
+    if (remaining <= 0) {
+        wrap.innerHTML = '';
+        return;
+    }
+    wrap.innerHTML = `<button type="button" class="load-more-btn">Load more stories <span class="load-more-count">${remaining} more</span></button>`;
+    wrap.querySelector('button').addEventListener('click', loadMore);
 }
 
 async function init() {
-    const articles = await loadArticles();
+    const articles = await Articles.load();
     if (articles.length > 0) {
-        renderHero(articles[0]);
-        renderGrid(articles);
+        allArticles = articles;
+        selectCategory(catFromURL());
+        window.addEventListener('popstate', () => {
+            const cat = catFromURL();
+            if (cat !== currentCat) selectCategory(cat);
+        });
     } else {
         const grid = document.getElementById('article-grid');
         if (grid) grid.innerHTML = '<div class="empty-state">Loading stories... run <code>python build.py</code> if this persists.</div>';
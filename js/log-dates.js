@@ -0,0 +1,167 @@
+/* js/log-dates.js — Chronological date model for log entries
+ *
+ * Log dates are free-text labels ("January 2025", "44 BC", "c. 10,000 BC",
+ * "4.5 Billion Yrs Ago", "Every 75-76 Yrs"). parse() turns a label into a
+ * range on a single numeric axis so logs can be sorted in true time order.
+ *
+ * Positions are decimal years using astronomical numbering (1 BC = 0,
+ * 44 BC = -43) so the same axis covers the Big Bang and next month.
+ */
+(function () {
+
+    const MONTHS = {
+        jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+        jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+    };
+
+    const MAGNITUDES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+    // "Years ago" labels are measured from the present day
+    const PRESENT = new Date().getFullYear();
+
+    const cache = new Map();
+
+    function monthIndex(word) {
+        const key = (word || '').slice(0, 3).toLowerCase();
+        return key in MONTHS ? MONTHS[key] : -1;
+    }
+
+    function toNumber(str) {
+        return parseFloat(String(str).replace(/,/g, ''));
+    }
+
+    // Calendar year (negative for BC) -> astronomical year
+    function calendarToAxis(year, isBC) {
+        return isBC ? 1 - year : year;
+    }
+
+    function result(label, start, end, extra) {
+        return Object.assign({
+            label,
+            start,
+            end,
+            precision: 'year',
+            approximate: false,
+            recurring: false,
+            period: null
+        }, extra);
+    }
+
+    function parseLabel(label) {
+        let s = String(label || '').trim();
+        if (!s) return result(label, null, null, { precision: 'unknown' });
+
+        // Recurring: "Every 75-76 Yrs", "Every 11 Years"
+        let m = s.match(/^every\s+([\d.,]+)(?:\s*[-–]\s*([\d.,]+))?\s*(?:yrs?|years?)$/i);
+        if (m) {
+            const min = toNumber(m[1]);
+            const max = m[2] ? toNumber(m[2]) : min;
+            return result(label, null, null, {
+                precision: 'recurring', recurring: true, period: { min, max }
+            });
+        }
+
+        // Approximate prefixes: "c.", "ca.", "circa", "~"
+        let approximate = false;
+        m = s.match(/^(?:c\.|ca\.|circa|~)\s*/i);
+        if (m) {
+            approximate = true;
+            s = s.slice(m[0].length);
+        }
+
+        // Deep time: "66 Million BC", "4.5 Billion Yrs Ago", "1.5 Million Years Ago"
+        m = s.match(/^([\d.,]+)\s*(thousand|million|billion)\s*(bc|bce|yrs?\s+ago|years?\s+ago)$/i);
+        if (m) {
+            const span = toNumber(m[1]) * MAGNITUDES[m[2].toLowerCase()];
+            const pos = /ago/i.test(m[3]) ? PRESENT - span : calendarToAxis(span, true);
+            return result(label, pos, pos + 1, { precision: 'deep', approximate: true });
+        }
+
+        // ISO: "2025-03-14" or "2025-03"
+        m = s.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+        if (m) {
+            const y = +m[1], mo = +m[2] - 1;
+            if (m[3]) {
+                const day = +m[3] - 1;
+                return result(label, y + (mo + day / 31) / 12, y + (mo + (day + 1) / 31) / 12, { precision: 'day', approximate });
+            }
+            return result(label, y + mo / 12, y + (mo + 1) / 12, { precision: 'month', approximate });
+        }
+
+        // "August 16, 2026" / "16 August 2026"
+        m = s.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{1,4})$/i) || s.match(/^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{1,4})$/i);
+        if (m) {
+            const [monthWord, day] = isNaN(+m[1]) ? [m[1], +m[2]] : [m[2], +m[1]];
+            const mo = monthIndex(monthWord);
+            if (mo >= 0) {
+                const y = +m[3];
+                return result(label, y + (mo + (day - 1) / 31) / 12, y + (mo + day / 31) / 12, { precision: 'day', approximate });
+            }
+        }
+
+        // "January 2025", "Sept. 1939"
+        m = s.match(/^([a-z]+)\.?\s+(\d{1,4})$/i);
+        if (m && monthIndex(m[1]) >= 0) {
+            const y = +m[2], mo = monthIndex(m[1]);
+            return result(label, y + mo / 12, y + (mo + 1) / 12, { precision: 'month', approximate });
+        }
+
+        // Decades: "1990s"
+        m = s.match(/^(\d{3})0s$/);
+        if (m) {
+            const y = +m[1] * 10;
+            return result(label, y, y + 10, { precision: 'decade', approximate });
+        }
+
+        // Years: "1945", "1440 AD", "44 BC", "10,000 BCE"
+        m = s.match(/^([\d,]+)\s*(ad|ce|bc|bce)?$/i);
+        if (m) {
+            const year = toNumber(m[1]);
+            const isBC = !!m[2] && /^bc/i.test(m[2]);
+            const pos = calendarToAxis(year, isBC);
+            return result(label, pos, pos + 1, { precision: 'year', approximate });
+        }
+
+        return result(label, null, null, { precision: 'unknown' });
+    }
+
+    /**
+     * Parse a log date label into { label, start, end, precision,
+     * approximate, recurring, period }. start/end are null when the label
+     * has no fixed position (recurring or unrecognised).
+     */
+    function parse(label) {
+        const key = String(label || '');
+        if (!cache.has(key)) cache.set(key, parseLabel(key));
+        return cache.get(key);
+    }
+
+    /**
+     * Comparator for logs by date. direction is 'asc' or 'desc'.
+     * Undated logs (recurring, unrecognised) always sort last.
+     */
+    function compareLogs(direction) {
+        const sign = direction === 'asc' ? 1 : -1;
+        return function (a, b) {
+            const da = parse(a.date), db = parse(b.date);
+            if (da.start === null || db.start === null) {
+                if (da.start !== db.start) return da.start === null ? 1 : -1;
+                return (a.title || '').localeCompare(b.title || '');
+            }
+            return sign * (da.start - db.start) ||
+                sign * (da.end - db.end) ||
+                (a.title || '').localeCompare(b.title || '');
+        };
+    }
+
+    /** Calendar year of a label (negative for BC), or null when undated. */
+    function yearOf(label) {
+        const d = parse(label);
+        if (d.start === null) return null;
+        const axis = Math.floor(d.start);
+        return axis > 0 ? axis : axis - 1;
+    }
+
+    window.LogDates = { parse, compareLogs, yearOf };
+
+})();
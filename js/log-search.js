@@ -0,0 +1,288 @@
+/* js/log-search.js — Query language and ranked search over log entries
+ *
+ * Syntax (terms are ANDed together):
+ *   nuclear energy          free-text terms, typo tolerant
+ *   "cold war"              exact phrase
+ *   -bitcoin                exclude a term, phrase or qualifier
+ *   tag:AI                  tag equals (case-insensitive)
+ *   region:Global           region contains
+ *   type:"Space & Sci"      type contains
+ *   year:1900..1999         year range; open ends allowed (year:..1900, year:2000..)
+ *   year:-50..-40           BC years are negative
+ *   keyword:gpu  id:log_civ_wwi  importance:low
+ *
+ * Depends on js/log-dates.js for year qualifiers and js/safe.js for highlighting.
+ */
+(function () {
+
+    const QUALIFIERS = ['tag', 'region', 'type', 'year', 'keyword', 'id', 'importance'];
+
+    // Weight of a match in each field when ranking
+    const FIELD_WEIGHTS = [
+        ['title',        5],
+        ['tags',         4],
+        ['keywords',     3],
+        ['sys_subtitle', 2],
+        ['description',  1],
+    ];
+
+    const TOKEN_RE = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    function normalize(str) {
+        return String(str || '').toLowerCase();
+    }
+
+    function tokenize(str) {
+        return normalize(str).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Parse a query string into { terms, filters }.
+     * terms:   [{ value, phrase, negate }]
+     * filters: [{ field, value, negate, range }]
+     */
+    function parseQuery(input) {
+        const query = { terms: [], filters: [] };
+        const str = String(input || '');
+        let m;
+        TOKEN_RE.lastIndex = 0;
+        while ((m = TOKEN_RE.exec(str)) !== null) {
+            const negate = m[1] === '-';
+            const field = m[2] ? m[2].toLowerCase() : null;
+            const quoted = m[3] !== undefined;
+            const value = quoted ? m[3] : m[4];
+            if (!value) continue;
+
+            if (field && QUALIFIERS.includes(field)) {
+                const filter = { field, value: normalize(value), negate, range: null };
+                if (field === 'year') filter.range = parseYearRange(value);
+                query.filters.push(filter);
+            } else {
+                // Unknown "foo:bar" is treated as plain text
+                const text = field ? `${m[2]}:${value}` : value;
+                query.terms.push({ value: normalize(text), phrase: quoted || /\s/.test(text), negate });
+            }
+        }
+        return query;
+    }
+
+    function parseYearRange(value) {
+        const m = String(value).match(/^(-?\d+)?\.\.(-?\d+)?$/);
+        if (m) {
+            return {
+                min: m[1] !== undefined ? +m[1] : -Infinity,
+                max: m[2] !== undefined ? +m[2] : Infinity
+            };
+        }
+        const n = parseInt(value, 10);
+        return isNaN(n) ? null : { min: n, max: n };
+    }
+
+    function isEmpty(query) {
+        return query.terms.length === 0 && query.filters.length === 0;
+    }
+
+    // Positive free-text terms — the ones that score and highlight
+    function positiveTerms(query) {
+        return query.terms.filter(t => !t.negate);
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Matching
+    // ──────────────────────────────────────────────────────────
+
+    // Damerau-Levenshtein (optimal string alignment) with early exit
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev2 = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const cur = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+                if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    v = Math.min(v, prev2[j - 2] + 1);
+                }
+                cur.push(v);
+                rowMin = Math.min(rowMin, v);
+            }
+            if (rowMin > max) return max + 1;
+            prev2 = prev;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    function allowedTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    const typoMemo = new WeakMap();
+
+    /**
+     * Score how well a single term matches a piece of text.
+     * 1 = whole word, .8 = word prefix, .6 = substring, <.5 = typo match.
+     * text is a prepared field from fieldText().
+     */
+    function termScore(term, text) {
+        const hay = text.hay;
+        if (!hay) return 0;
+        if (term.phrase) return hay.includes(term.value) ? 1 : 0;
+
+        const words = text.words;
+        if (text.wordSet.has(term.value)) return 1;
+        if (words.some(w => w.startsWith(term.value))) return 0.8;
+        if (hay.includes(term.value)) return 0.6;
+
+        const max = allowedTypos(term.value);
+        if (!max) return 0;
+        // Archives repeat the same vocabulary, so each word is compared once per term
+        let memo = typoMemo.get(term);
+        if (!memo) typoMemo.set(term, memo = new Map());
+        let best = 0;
+        words.forEach(w => {
+            let d = memo.get(w);
+            if (d === undefined) memo.set(w, d = editDistance(term.value, w, max));
+            if (d <= max) best = Math.max(best, 0.45 - d * 0.1);
+        });
+        return best;
+    }
+
+    // Lower-cased text and distinct words of each searchable field, computed
+    // once per log object so large archives stay fast to search while typing
+    const prepared = new WeakMap();
+
+    function fieldText(log, field) {
+        let fields = prepared.get(log);
+        if (!fields) prepared.set(log, fields = {});
+        if (!fields[field]) {
+            const v = log[field];
+            const hay = normalize(Array.isArray(v) ? v.join(' • ') : v);
+            const wordSet = new Set(tokenize(hay));
+            fields[field] = { hay, wordSet, words: [...wordSet] };
+        }
+        return fields[field];
+    }
+
+    function matchesFilter(log, filter) {
+        let hit;
+        switch (filter.field) {
+            case 'tag':
+                hit = (log.tags || []).some(t => normalize(t) === filter.value);
+                break;
+            case 'keyword':
+                hit = (log.keywords || []).some(k => normalize(k) === filter.value);
+                break;
+            case 'region':
+            case 'type':
+                hit = normalize(log[filter.field]).includes(filter.value);
+                break;
+            case 'id':
+                hit = normalize(log.id) === filter.value;
+                break;
+            case 'importance':
+                hit = normalize(log.importance || 'medium') === filter.value;
+                break;
+            case 'year': {
+                const year = LogDates.yearOf(log.date);
+                hit = !!filter.range && year !== null && year >= filter.range.min && year <= filter.range.max;
+                break;
+            }
+            default:
+                hit = true;
+        }
+        return filter.negate ? !hit : hit;
+    }
+
+    /**
+     * Relevance score of a log for a parsed query, or -1 when it doesn't match.
+     * A query with only qualifiers scores every match as 0.
+     */
+    function scoreLog(log, query) {
+        if (!query.filters.every(f => matchesFilter(log, f))) return -1;
+
+        let total = 0;
+        for (const term of query.terms) {
+            let termTotal = 0;
+            FIELD_WEIGHTS.forEach(([field, weight]) => {
+                termTotal += termScore(term, fieldText(log, field)) * weight;
+            });
+            if (term.negate) {
+                if (termTotal > 0) return -1;
+            } else {
+                if (termTotal === 0) return -1;
+                total += termTotal;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Filter and rank logs. Returns [{ log, score }] ordered by score
+     * (highest first); input order is kept for equal scores.
+     */
+    function search(logs, queryOrString) {
+        const query = typeof queryOrString === 'string' ? parseQuery(queryOrString) : queryOrString;
+        return logs
+            .map((log, i) => ({ log, score: scoreLog(log, query), i }))
+            .filter(r => r.score >= 0)
+            .sort((a, b) => b.score - a.score || a.i - b.i)
+            .map(({ log, score }) => ({ log, score }));
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Highlighting
+    // ──────────────────────────────────────────────────────────
+
+    function matchRanges(text, query) {
+        const hay = normalize(text);
+        const ranges = [];
+        positiveTerms(query).forEach(term => {
+            let idx = hay.indexOf(term.value);
+            let found = idx !== -1;
+            while (idx !== -1) {
+                ranges.push([idx, idx + term.value.length]);
+                idx = hay.indexOf(term.value, idx + term.value.length);
+            }
+            if (found || term.phrase) return;
+
+            // Typo matches highlight the whole word
+            const max = allowedTypos(term.value);
+            if (!max) return;
+            const wordRe = /[\p{L}\p{N}]+/gu;
+            let w;
+            while ((w = wordRe.exec(hay)) !== null) {
+                if (editDistance(term.value, w[0], max) <= max) ranges.push([w.index, w.index + w[0].length]);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        ranges.forEach(r => {
+            const last = merged[merged.length - 1];
+            if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+            else merged.push([r[0], r[1]]);
+        });
+        return merged;
+    }
+
+    /** Escape text and wrap every query match in <mark>. */
+    function highlight(text, queryOrString) {
+        const str = text === null || text === undefined ? '' : String(text);
+        const query = typeof queryOrString === 'string' ? parseQuery(queryOrString) : queryOrString;
+        if (!query || positiveTerms(query).length === 0) return Safe.text(str);
+
+        let out = '', pos = 0;
+        matchRanges(str, query).forEach(([start, end]) => {
+            out += Safe.text(str.slice(pos, start)) + `<mark class="search-hit">${Safe.text(str.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        return out + Safe.text(str.slice(pos));
+    }
+
+    window.LogSearch = { parseQuery, isEmpty, search, highlight, positiveTerms };
+
+})();
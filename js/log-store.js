@@ -0,0 +1,404 @@
+/* js/log-store.js — On-demand loading of the sharded log archive
+ *
+ * logs/manifest.json lists yearly shards and era shards. Pages load the
+ * current year first and pull older shards in only when they need them.
+ * Every shard tracks its own status (idle | loading | loaded | error) and a
+ * failed shard stays failed — it is never silently replaced with [].
+ *
+ *   await LogStore.init({ base: '/logs/' });
+ *   await LogStore.loadCurrent();      // first paint
+ *   LogStore.loadAll();                // rest, in the background
+ *   LogStore.subscribe(shards => …);   // status changes
+ *   LogStore.isSettled()               // every shard loaded or failed
+ *   LogStore.revision                  // bumps on every change; compare it,
+ *                                      // not log counts, to know when to redraw
+ *
+ * Entries are validated as each shard arrives (needs js/log-dates.js):
+ *   error   — missing or mistyped field; the entry is dropped
+ *   warning — unknown `type`, unreadable date, or a date outside the shard's
+ *             year / era range; the entry is kept
+ * The same id in several shards is kept once: a copy dated inside its shard's
+ * range beats one that isn't, otherwise the shard listed first in the
+ * manifest wins. LogStore.issues() lists everything; add ?diagnostics to any
+ * page's URL to see it in a panel.
+ */
+(function () {
+
+    const LOG_FIELDS = {
+        id: 'string', title: 'string', date: 'string', type: 'string', description: 'string'
+    };
+
+    const OPTIONAL_FIELDS = {
+        version: 'string', region: 'string', importance: 'string', sys_subtitle: 'string',
+        wiki_url: 'string', submitted_by: 'string', article: 'string', is_active: 'boolean',
+        tags: 'array', keywords: 'array'
+    };
+
+    const TYPES = [
+        'AI & Tech', 'Hardware', 'Robotics', 'Space & Sci',
+        'Energy & Climate', 'Health & World', 'World & History', 'Economy'
+    ];
+
+    let base = 'logs/';
+    let manifest = null;
+    let shards = [];
+    let initPromise = null;
+    let merged = null;
+    let revision = 0;
+    const listeners = new Set();
+
+    function notify() {
+        merged = null;
+        revision++;
+        const snapshot = getShards();
+        listeners.forEach(fn => {
+            try { fn(snapshot); } catch (e) { console.error('LogStore listener failed:', e); }
+        });
+    }
+
+    function makeShard(key, file, kind, label, range) {
+        return { key, file, kind, label, range, status: 'idle', error: null, logs: [], issues: [], outOfRange: new Set(), rawIndex: [], promise: null };
+    }
+
+    // Manifest era ranges: "2000-2024", "1900-1999", "Pre-1900", "Post-2000".
+    // { from, to } in years, end exclusive; null when the label can't be read.
+    function parseRange(text) {
+        const s = String(text || '').trim();
+        let m = s.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (m) return { from: +m[1], to: +m[2] + 1, label: s };
+        m = s.match(/^pre[-\s]?(\d+)$/i);
+        if (m) return { from: -Infinity, to: +m[1], label: s };
+        m = s.match(/^post[-\s]?(\d+)$/i);
+        if (m) return { from: +m[1], to: Infinity, label: s };
+        return null;
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Validation
+    // ──────────────────────────────────────────────────────────────
+    function typeOf(v) {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        return typeof v;
+    }
+
+    const article = word => /^[aeiou]/.test(word) ? 'an' : 'a';
+
+    // Problems that make an entry unusable ([] = valid)
+    function checkFields(entry) {
+        if (typeOf(entry) !== 'object') return [`expected an object, got ${typeOf(entry)}`];
+        const problems = [];
+        Object.entries(LOG_FIELDS).forEach(([key, type]) => {
+            if (!(key in entry)) problems.push(`missing "${key}"`);
+            else if (typeOf(entry[key]) !== type) problems.push(`"${key}" should be ${article(type)} ${type}, got ${typeOf(entry[key])}`);
+            else if (!entry[key].trim()) problems.push(`"${key}" is empty`);
+        });
+        Object.entries(OPTIONAL_FIELDS).forEach(([key, type]) => {
+            if (entry[key] !== undefined && entry[key] !== null && typeOf(entry[key]) !== type) {
+                problems.push(`"${key}" should be ${article(type)} ${type}, got ${typeOf(entry[key])}`);
+            }
+        });
+        ['tags', 'keywords'].forEach(key => {
+            if (Array.isArray(entry[key]) && entry[key].some(t => typeof t !== 'string')) problems.push(`"${key}" should only hold strings`);
+        });
+        return problems;
+    }
+
+    // Problems worth a look that still leave the entry usable
+    function checkContent(entry, shard) {
+        const problems = [];
+        if (!TYPES.includes(entry.type)) problems.push(`unknown type "${entry.type}"`);
+        const d = LogDates.parse(entry.date);
+        if (d.precision === 'unknown') {
+            problems.push(`date "${entry.date}" is not a recognised format`);
+        } else if (shard.range && d.start !== null && (d.start < shard.range.from || d.start >= shard.range.to)) {
+            problems.push(`date "${entry.date}" is outside this shard's range (${shard.range.label})`);
+            shard.outOfRange.add(entry);
+        }
+        return problems;
+    }
+
+    /** Keep the valid entries of a shard and record an issue for every problem. */
+    function validateShard(shard, data) {
+        shard.issues = [];
+        shard.outOfRange = new Set();   // entry objects, so two entries sharing an id are flagged apart
+        shard.rawIndex = [];
+        const report = (level, index, entry, problems) => shard.issues.push({
+            level, shard: shard.label, file: shard.file, index,
+            id: entry && typeof entry.id === 'string' ? entry.id : null, problems
+        });
+
+        return data.filter((entry, i) => {
+            const problems = checkFields(entry);
+            if (problems.length) {
+                report('error', i, entry, problems);
+                return false;
+            }
+            const notes = checkContent(entry, shard);
+            if (notes.length) report('warning', i, entry, notes);
+            shard.rawIndex.push(i);
+            return true;
+        });
+    }
+
+    // Every loaded shard's logs with duplicate ids resolved; cached until the
+    // next status change
+    function merge() {
+        if (merged) return merged;
+        const chosen = new Map();
+        const duplicates = [];
+        shards.filter(s => s.status === 'loaded').forEach(shard => shard.logs.forEach((log, index) => {
+            const entry = { log, shard, index: shard.rawIndex[index], inRange: !shard.outOfRange.has(log) };
+            const prev = chosen.get(log.id);
+            if (!prev) {
+                chosen.set(log.id, entry);
+                return;
+            }
+            const [kept, dropped] = entry.inRange && !prev.inRange ? [entry, prev] : [prev, entry];
+            chosen.set(log.id, kept);
+            duplicates.push({
+                level: 'warning', shard: dropped.shard.label, file: dropped.shard.file, index: dropped.index, id: log.id,
+                problems: [kept.shard === dropped.shard
+                    ? `duplicate id; entry [${kept.index}] in the same shard is used`
+                    : `duplicate id; the copy in ${kept.shard.label} is used`]
+            });
+        }));
+        merged = { logs: [...chosen.values()].map(e => e.log), duplicates };
+        return merged;
+    }
+
+    /**
+     * Read the manifest. Falls back to the single legacy logs.json file
+     * when the manifest is unavailable. Safe to call more than once.
+     */
+    function init(options) {
+        if (initPromise) return initPromise;
+        base = (options && options.base) || base;
+
+        initPromise = fetch(`${base}manifest.json`)
+            .then(res => {
+                if (!res.ok) throw new Error(`manifest.json: HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(m => {
+                manifest = m;
+                shards = [
+                    ...(m.years_available || []).map(y => makeShard(`year:${y.year}`, `${base}${y.file}`, 'year', String(y.year),
+                        { from: y.year, to: y.year + 1, label: String(y.year) })),
+                    ...(m.eras || []).map(e => makeShard(`era:${e.name}`, `${base}${e.file}`, 'era', e.name, parseRange(e.range)))
+                ];
+            })
+            .catch(err => {
+                console.warn('Manifest load failed, falling back to logs.json:', err);
+                manifest = null;
+                shards = [makeShard('legacy', `${base.replace(/logs\/?$/, '')}logs.json`, 'legacy', 'Full archive', null)];
+            })
+            .then(() => {
+                if (new URLSearchParams(window.location.search).has('diagnostics')) mountDiagnostics();
+                notify();
+                return manifest;
+            });
+
+        return initPromise;
+    }
+
+    function loadShard(key) {
+        const shard = shards.find(s => s.key === key);
+        if (!shard) return Promise.reject(new Error(`Unknown shard: ${key}`));
+        if (shard.status === 'loaded') return Promise.resolve(shard.logs);
+        if (shard.promise) return shard.promise;
+
+        shard.status = 'loading';
+        shard.error = null;
+        notify();
+
+        shard.promise = fetch(shard.file)
+            .then(res => {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return res.json();
+            })
+            .then(data => {
+                if (!Array.isArray(data)) throw new Error('shard is not a JSON array');
+                shard.logs = validateShard(shard, data);
+                shard.issues.filter(i => i.level === 'error').forEach(i => console.warn(`${shard.file}:`, describe(i)));
+                shard.status = 'loaded';
+                return shard.logs;
+            })
+            .catch(err => {
+                shard.status = 'error';
+                shard.error = err.message || String(err);
+                console.error(`Shard ${shard.file} failed:`, err);
+                return [];
+            })
+            .finally(() => {
+                shard.promise = null;
+                notify();
+            });
+
+        return shard.promise;
+    }
+
+    /** Load the shard for manifest.current_year (or the first shard). */
+    function loadCurrent() {
+        return init().then(() => {
+            const current = manifest && shards.find(s => s.key === `year:${manifest.current_year}`);
+            const shard = current || shards[0];
+            return shard ? loadShard(shard.key) : [];
+        });
+    }
+
+    /** Load every shard that isn't loaded yet. Resolves when all settle. */
+    function loadAll() {
+        return init().then(() => Promise.all(
+            shards.filter(s => s.status !== 'loaded').map(s => loadShard(s.key))
+        )).then(() => getLogs());
+    }
+
+    /** Retry every shard that failed. */
+    function retryFailed() {
+        return Promise.all(shards.filter(s => s.status === 'error').map(s => loadShard(s.key)));
+    }
+
+    /** Valid logs from every loaded shard, in manifest order, one per id. */
+    function getLogs() {
+        return merge().logs;
+    }
+
+    function getShards() {
+        return shards.map(({ key, file, kind, label, range, status, error, logs, issues }) =>
+            ({ key, file, kind, label, range: range ? range.label : null, status, error, count: logs.length, issues: issues.length }));
+    }
+
+    /** Validation findings for every loaded shard plus duplicate ids: { level, shard, file, index, id, problems }. */
+    function issues() {
+        return [...shards.flatMap(s => s.issues), ...merge().duplicates];
+    }
+
+    function describe(issue) {
+        return `[${issue.index}]${issue.id ? ` (${issue.id})` : ''}: ${issue.problems.join('; ')}`;
+    }
+
+    function isComplete() {
+        return shards.length > 0 && shards.every(s => s.status === 'loaded');
+    }
+
+    /** True once every shard has loaded or failed: nothing more will arrive. */
+    function isSettled() {
+        return shards.length > 0 && shards.every(s => s.status === 'loaded' || s.status === 'error');
+    }
+
+    function failedShards() {
+        return getShards().filter(s => s.status === 'error');
+    }
+
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    /**
+     * Shared status strip: one pill per shard plus a partial-data warning
+     * with a retry button when any shard failed.
+     */
+    function renderStatus(container) {
+        if (!container) return;
+        const list = getShards();
+        const failed = list.filter(s => s.status === 'error');
+        const ICON = { idle: '○', loading: '…', loaded: '✓', error: '✕' };
+
+        const pills = list.map(s => {
+            const span = document.createElement('span');
+            span.className = `shard-pill shard-${s.status}`;
+            span.title = s.status === 'error' ? `${s.file}: ${s.error}` : `${s.file} (${s.status})`;
+            span.textContent = `${ICON[s.status]} ${s.label}${s.status === 'loaded' ? ` · ${s.count}` : ''}`;
+            return span;
+        });
+
+        container.innerHTML = '';
+        container.classList.toggle('has-error', failed.length > 0);
+        if (failed.length) {
+            const warn = document.createElement('div');
+            warn.className = 'shard-warning';
+            warn.setAttribute('role', 'alert');
+            warn.textContent = `Partial data: ${failed.length} of ${list.length} shards failed to load (${failed.map(s => s.label).join(', ')}). Results may be incomplete. `;
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'shard-retry';
+            retry.textContent = 'Retry';
+            retry.addEventListener('click', retryFailed);
+            warn.appendChild(retry);
+            container.appendChild(warn);
+        }
+        const row = document.createElement('div');
+        row.className = 'shard-pills';
+        pills.forEach(p => row.appendChild(p));
+        container.appendChild(row);
+    }
+
+    /**
+     * Developer panel: one row per shard, then every validation finding.
+     * Shown at the end of the page when the URL has ?diagnostics.
+     */
+    function renderDiagnostics(container) {
+        if (!container) return;
+        const list = issues();
+        const cell = (row, tag, text, className) => {
+            const el = document.createElement(tag);
+            el.textContent = text;
+            if (className) el.className = className;
+            row.appendChild(el);
+            return el;
+        };
+        const table = (caption, heads, rows) => {
+            const t = document.createElement('table');
+            t.className = 'log-diagnostics-table';
+            cell(t, 'caption', caption);
+            const head = document.createElement('tr');
+            heads.forEach(h => cell(head, 'th', h).setAttribute('scope', 'col'));
+            t.appendChild(head);
+            rows.forEach(values => {
+                const tr = document.createElement('tr');
+                values.forEach(([text, className]) => cell(tr, 'td', text, className));
+                t.appendChild(tr);
+            });
+            return t;
+        };
+
+        container.innerHTML = '';
+        const title = cell(container, 'h2', 'Log diagnostics');
+        title.className = 'log-diagnostics-title';
+        const errors = list.filter(i => i.level === 'error').length;
+        cell(container, 'p', `${getLogs().length} logs in use · ${errors} dropped · ${list.length - errors} warnings`, 'log-diagnostics-summary');
+
+        container.appendChild(table('Shards', ['Shard', 'File', 'Range', 'Status', 'Valid', 'Issues'],
+            getShards().map(s => [[s.label], [s.file], [s.range || '—'], [s.status, `shard-${s.status}`], [String(s.count)], [String(s.issues)]])));
+
+        if (!list.length) {
+            cell(container, 'p', 'No problems found in the loaded shards.', 'log-diagnostics-summary');
+            return;
+        }
+        container.appendChild(table('Findings', ['Level', 'Shard', 'Entry', 'Problem'],
+            list.map(i => [[i.level, `log-diagnostics-${i.level}`], [i.shard], [i.id || `#${i.index}`], [i.problems.join('; ')]])));
+    }
+
+    function mountDiagnostics() {
+        if (document.getElementById('log-diagnostics')) return;
+        const panel = document.createElement('section');
+        panel.id = 'log-diagnostics';
+        panel.className = 'log-diagnostics';
+        panel.setAttribute('aria-label', 'Log diagnostics');
+        const footer = document.getElementById('footer-mount');
+        if (footer) footer.parentNode.insertBefore(panel, footer);
+        else document.body.appendChild(panel);
+        subscribe(() => renderDiagnostics(panel));
+    }
+
+    window.LogStore = {
+        init, loadShard, loadCurrent, loadAll, retryFailed,
+        getLogs, getShards, isComplete, isSettled, failedShards, subscribe, renderStatus,
+        issues, describe, renderDiagnostics, TYPES,
+        get manifest() { return manifest; },
+        get revision() { return revision; }
+    };
+
+})();
@@ -0,0 +1,306 @@
+/* js/model-compare.js — Side-by-side comparison of AI timeline models
+ *
+ * Timeline cards get a "Compare" toggle; with two to four models selected a
+ * panel lists their stats as numbers, with ratios against the first
+ * (earliest) model. The free-text stats in data/ai-compute.json are
+ * normalised here: "671B (MoE, 37B active)" -> 6.71e11, "128,000 tokens" ->
+ * 128000, compute comes from the linked compute point when there is one.
+ *
+ *   const compare = ModelCompare.create({
+ *       data,                        // from AIModels.load
+ *       before: timelineElement,     // the panel is inserted above it
+ *       selection: ['gpt-3', 'deepseek-r1'],
+ *       onChange: ids => {},         // write the selection to the URL
+ *   });
+ *   card.querySelector('.tl-badges').appendChild(compare.toggle(item.id));
+ *   compare.set(ids);                // e.g. after back/forward
+ */
+(function () {
+
+    const MAX = 4;
+    const MIN = 2;
+
+    const SUPERSCRIPT = { '⁻': '-', '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+    const UNITS = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+
+
+    // ──────────────────────────────────────────────────────────
+    // Parsing free-text stats
+    // ──────────────────────────────────────────────────────────
+
+    /**
+     * A stat as { value, approx, atLeast } — value is null when the text
+     * holds no number ("Unknown", "Unlimited (projected)").
+     */
+    function stat(value, text) {
+        return {
+            value,
+            approx: /~|est\.?|projected/i.test(text),
+            atLeast: /\d\s*[KMBT]?\+/i.test(text),
+        };
+    }
+
+    // "175B", "~1T (est., MoE)", "671B (MoE, 37B active)", "~2T+ (est.)"
+    function parseParams(text) {
+        const m = String(text).match(/([\d.,]+)\s*([KMBT])\b/i);
+        return stat(m ? parseFloat(m[1].replace(/,/g, '')) * UNITS[m[2].toUpperCase()] : null, String(text));
+    }
+
+    // "4,096 tokens", "128K tokens", "1M+ tokens"
+    function parseContext(text) {
+        const m = String(text).match(/([\d.,]+)\s*([KM])?\+?\s*tokens/i);
+        return stat(m ? parseFloat(m[1].replace(/,/g, '')) * (m[2] ? UNITS[m[2].toUpperCase()] : 1) : null, String(text));
+    }
+
+    // "3.14 × 10²³", "~10²⁸ (projected)", "2e25"
+    function parseCompute(text) {
+        const s = String(text);
+        const sci = s.match(/(?:([\d.]+)\s*[×x*]\s*)?10([⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)/);
+        if (sci) {
+            const exp = Number([...sci[2]].map(c => SUPERSCRIPT[c]).join(''));
+            return stat((sci[1] ? parseFloat(sci[1]) : 1) * Math.pow(10, exp), s);
+        }
+        const e = s.match(/([\d.]+)e(\d+)/i);
+        return stat(e ? parseFloat(e[1]) * Math.pow(10, Number(e[2])) : null, s);
+    }
+
+    /** Numeric stats for one model; compute prefers the linked compute point. */
+    function normalize(model, points) {
+        const compute = parseCompute(model.compute);
+        const point = (points || []).find(p => p.model === model.id);
+        if (point) compute.value = point.flops;
+        return {
+            params: parseParams(model.params),
+            context: parseContext(model.context),
+            compute,
+            year: point ? point.year : model.year,
+        };
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Formatting
+    // ──────────────────────────────────────────────────────────
+    function superscript(n) {
+        const map = Object.fromEntries(Object.entries(SUPERSCRIPT).map(([k, v]) => [v, k]));
+        return String(n).split('').map(c => map[c]).join('');
+    }
+
+    function formatCount(v) {
+        const [unit, div] = v >= 1e12 ? ['T', 1e12] : v >= 1e9 ? ['B', 1e9] : v >= 1e6 ? ['M', 1e6] : v >= 1e3 ? ['K', 1e3] : ['', 1];
+        return `${+(v / div).toFixed(v / div < 10 ? 1 : 0)}${unit}`;
+    }
+
+    function formatFlops(v) {
+        const exp = Math.floor(Math.log10(v));
+        const mant = +(v / Math.pow(10, exp)).toFixed(1);
+        return `${mant === 1 ? '' : `${mant} × `}10${superscript(exp)}`;
+    }
+
+    function formatRatio(r) {
+        if (r >= 0.95 && r <= 1.05) return 'same as';
+        if (r >= 1) return `${r < 10 ? r.toFixed(1) : Math.round(r).toLocaleString('en-US')}× more than`;
+        const inv = 1 / r;
+        return `${inv < 10 ? inv.toFixed(1) : Math.round(inv).toLocaleString('en-US')}× less than`;
+    }
+
+    const METRICS = [
+        { key: 'compute', label: 'Training compute', unit: 'FLOPs', format: formatFlops },
+        { key: 'params',  label: 'Parameters',       unit: '',      format: formatCount },
+        { key: 'context', label: 'Context window',   unit: 'tokens', format: v => v < 1e6 ? v.toLocaleString('en-US') : formatCount(v) },
+    ];
+
+    function formatStat(s, metric) {
+        if (s.value === null) return '—';
+        const prefix = s.atLeast ? '≥ ' : s.approx ? '~' : '';
+        return `${prefix}${metric.format(s.value)}${metric.unit ? ` ${metric.unit}` : ''}`;
+    }
+
+    // ──────────────────────────────────────────────────────────
+    // Selection + panel
+    // ──────────────────────────────────────────────────────────
+    function create(options) {
+        const models = options.data.models;
+        const stats = new Map(models.map(m => [m.id, normalize(m, options.data.points)]));
+        const toggles = new Map();
+        let selected = [];
+
+        const panel = document.createElement('section');
+        panel.className = 'model-compare';
+        panel.setAttribute('aria-label', 'Model comparison');
+        panel.hidden = true;
+        const tray = document.createElement('div');
+        tray.className = 'model-compare-tray';
+        tray.setAttribute('aria-live', 'polite');
+        tray.hidden = true;
+        if (options.before && options.before.parentNode) {
+            options.before.parentNode.insertBefore(panel, options.before);
+            options.before.parentNode.insertBefore(tray, options.before.nextSibling);
+        }
+
+        // Keep dataset order (chronological) so the baseline is the earliest model
+        function clean(ids) {
+            const wanted = new Set(ids);
+            return models.filter(m => wanted.has(m.id)).map(m => m.id).slice(0, MAX);
+        }
+
+        function set(ids, silent) {
+            const next = clean(ids || []);
+            if (next.join() === selected.join()) return;
+            selected = next;
+            render();
+            if (!silent && options.onChange) options.onChange(selected.slice());
+        }
+
+        function flip(id) {
+            set(selected.includes(id) ? selected.filter(s => s !== id) : selected.concat(id));
+        }
+
+        /** Compare toggle for one timeline card. */
+        function toggle(id) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'tl-compare-toggle';
+            btn.addEventListener('click', () => flip(id));
+            toggles.set(id, btn);
+            syncToggle(id);
+            return btn;
+        }
+
+        function syncToggle(id) {
+            const btn = toggles.get(id);
+            if (!btn) return;
+            const on = selected.includes(id);
+            btn.setAttribute('aria-pressed', String(on));
+            btn.disabled = !on && selected.length >= MAX;
+            btn.textContent = on ? '✓ Comparing' : 'Compare';
+            btn.title = btn.disabled ? `Compare up to ${MAX} models` : '';
+        }
+
+        function render() {
+            toggles.forEach((_, id) => syncToggle(id));
+            renderTray();
+            renderPanel();
+        }
+
+        function renderTray() {
+            tray.hidden = !selected.length;
+            if (!selected.length) { tray.innerHTML = ''; return; }
+            const names = selected.map(id => models.find(m => m.id === id).model);
+            const more = MIN - selected.length;
+            tray.innerHTML = `
+                <span class="model-compare-count">${selected.length}/${MAX} selected</span>
+                <span class="model-compare-names">${names.map(Safe.text).join(' · ')}</span>
+                ${more > 0 ? `<span class="model-compare-hint">Select ${more} more to compare</span>`
+                    : '<button type="button" class="chart-seg-btn" data-compare-show>Show comparison</button>'}
+                <button type="button" class="chart-seg-btn" data-compare-clear>Clear</button>`;
+            const show = tray.querySelector('[data-compare-show]');
+            if (show) show.addEventListener('click', () => {
+                panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                panel.focus({ preventScroll: true });
+            });
+            tray.querySelector('[data-compare-clear]').addEventListener('click', () => set([]));
+        }
+
+        function renderPanel() {
+            panel.hidden = selected.length < MIN;
+            if (panel.hidden) { panel.innerHTML = ''; return; }
+            panel.tabIndex = -1;
+
+            const cols = selected.map(id => ({ model: models.find(m => m.id === id), stats: stats.get(id) }));
+            const base = cols[0];
+            const head = cols.map((c, i) => `
+                <th scope="col" style="--co:${Safe.attr(Safe.color(c.model.company_color))};">
+                    <span class="model-compare-model">${Safe.text(c.model.model)}</span>
+                    <span class="model-compare-co">${Safe.text(c.model.company)} · ${Safe.text(c.model.release_date)}</span>
+                    ${i === 0 ? '<span class="model-compare-base">Baseline</span>' : ''}
+                    <button type="button" class="model-compare-remove" data-compare-remove="${Safe.attr(c.model.id)}" aria-label="Remove ${Safe.attr(c.model.model)} from comparison">×</button>
+                </th>`).join('');
+
+            const metricRows = METRICS.map(metric => `
+                <tr>
+                    <th scope="row">${metric.label}</th>
+                    ${cols.map((c, i) => {
+                        const s = c.stats[metric.key];
+                        const b = base.stats[metric.key];
+                        const ratio = i > 0 && s.value !== null && b.value ? s.value / b.value : null;
+                        return `<td>
+                            <span class="model-compare-value">${Safe.text(formatStat(s, metric))}</span>
+                            <span class="model-compare-raw">${Safe.text(c.model[metric.key])}</span>
+                            ${ratio !== null ? `<span class="model-compare-ratio${ratio > 1.05 ? ' up' : ratio < 0.95 ? ' down' : ''}">${formatRatio(ratio)} ${Safe.text(base.model.model)}${s.approx || b.approx ? ' (approx.)' : ''}</span>` : ''}
+                        </td>`;
+                    }).join('')}
+                </tr>`).join('');
+
+            const textRows = [['Type', 'type'], ['Benchmark', 'benchmark'], ['Status', 'real']].map(([label, key]) => `
+                <tr>
+                    <th scope="row">${label}</th>
+                    ${cols.map(c => `<td>${key === 'real' ? (c.model.real ? 'Released' : 'Projected') : Safe.text(c.model[key])}</td>`).join('')}
+                </tr>`).join('');
+
+            panel.innerHTML = `
+                <div class="model-compare-head">
+                    <div>
+                        <div class="chart-title">Comparing ${cols.length} models</div>
+                        <div class="chart-subtitle">Stats normalised to numbers · ratios against ${Safe.text(base.model.model)}</div>
+                    </div>
+                    <div class="chart-actions">
+                        <button type="button" class="chart-seg-btn" data-compare-copy>Copy link</button>
+                        <button type="button" class="chart-seg-btn" data-compare-clear>Clear</button>
+                    </div>
+                </div>
+                <div class="model-compare-scroll">
+                    <table>
+                        <thead><tr><td></td>${head}</tr></thead>
+                        <tbody>${metricRows}${textRows}</tbody>
+                    </table>
+                </div>
+                ${summary(cols)}`;
+
+            panel.querySelectorAll('[data-compare-remove]').forEach(btn => {
+                btn.addEventListener('click', () => flip(btn.dataset.compareRemove));
+            });
+            panel.querySelector('[data-compare-clear]').addEventListener('click', () => set([]));
+            panel.querySelector('[data-compare-copy]').addEventListener('click', e => {
+                const btn = e.currentTarget;
+                const done = () => { btn.textContent = 'Link copied'; setTimeout(() => { btn.textContent = 'Copy link'; }, 1500); };
+                if (navigator.clipboard) navigator.clipboard.writeText(window.location.href).then(done, () => {});
+            });
+        }
+
+        // "DeepSeek-R1 used 446× the training compute of GPT-3", per metric
+        function summary(cols) {
+            const lines = METRICS.map(metric => {
+                const known = cols.filter(c => c.stats[metric.key].value !== null);
+                if (known.length < 2) return null;
+                const sorted = known.slice().sort((a, b) => a.stats[metric.key].value - b.stats[metric.key].value);
+                const lo = sorted[0], hi = sorted[sorted.length - 1];
+                const r = hi.stats[metric.key].value / lo.stats[metric.key].value;
+                if (r < 1.05) return null;
+                return `<li><strong>${Safe.text(hi.model.model)}</strong> has ${r < 10 ? r.toFixed(1) : Math.round(r).toLocaleString('en-US')}× the ${metric.label.toLowerCase()} of <strong>${Safe.text(lo.model.model)}</strong></li>`;
+            }).filter(Boolean);
+            return lines.length ? `<ul class="model-compare-summary">${lines.join('')}</ul>` : '';
+        }
+
+        selected = clean(options.selection || []);
+        render();
+
+        return {
+            toggle,
+            set: ids => set(ids, true),
+            get selected() { return selected.slice(); },
+            destroy() {
+                panel.remove();
+                tray.remove();
+                toggles.clear();
+            },
+        };
+    }
+
+    /** Ids from a "compare=a,b" query value. */
+    function parseSelection(value) {
+        return value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : [];
+    }
+
+    window.ModelCompare = { create, normalize, parseParams, parseContext, parseCompute, parseSelection, MAX };
+
+})();
@@ -1,22 +1,41 @@
-/* js/nav.js — Shared navigation, clock, and theme for all pages */
+/* js/nav.js — Shared navigation, clock, and theme for all pages (needs js/safe.js) */
 (function () {
 
     const NAV_LINKS = [
         { href: '/',          label: 'Latest News', match: /^\/$/ },
         { href: '/metrics/',  label: 'Metrics',     match: /^\/metrics/ },
+        { href: '/timeline/', label: 'Timeline',    match: /^\/timeline/ },
+        { href: '/tags/',     label: 'Topics',      match: /^\/tags/ },
     ];
 
+    // 'live' normally; 'offline' when the browser is offline or the service
+    // worker had to answer from its cache, until a request gets through again
+    let connection = navigator.onLine === false ? 'offline' : 'live';
+
+    function livePillHTML() {
+        return connection === 'offline'
+            ? '<span class="live-pill offline" id="live-pill" title="Showing cached data"><span class="pulse"></span>OFFLINE</span>'
+            : '<span class="live-pill" id="live-pill"><span class="pulse"></span>LIVE</span>';
+    }
+
+    function setConnection(state) {
+        if (state === connection) return;
+        connection = state;
+        const pill = document.getElementById('live-pill');
+        if (pill) pill.outerHTML = livePillHTML();
+    }
+
     function renderNav() {
         const path = window.location.pathname;
 
         const tabsHTML = NAV_LINKS.map(l =>
-            `<a href="${l.href}" class="nav-link${l.match.test(path) ? ' active' : ''}">${l.label}</a>`
+            `<a href="${Safe.attr(Safe.url(l.href))}" class="nav-link${l.match.test(path) ? ' active' : ''}">${Safe.text(l.label)}</a>`
         ).join('');
 
         const navHTML = `
         <div class="util-bar">
             <div class="util-left">
-                <span class="live-pill"><span class="pulse"></span>LIVE</span>
+                ${livePillHTML()}
                 <span class="util-clock" id="site-clock"></span>
                 <span class="util-date" id="site-date"></span>
             </div>
@@ -60,7 +79,8 @@
                     <ul class="footer-links">
                         <li><a href="/">Latest News</a></li>
                         <li><a href="/metrics/">Metrics</a></li>
-                        <li><a href="/timeline/">AI Timeline</a></li>
+                        <li><a href="/timeline/">Timeline</a></li>
+                        <li><a href="/tags/">Topics</a></li>
                         <li><a href="https://github.com/MarcelvanDuijnDev/thesimulationlog.com" target="_blank" rel="noopener">GitHub</a></li>
                     </ul>
                 </div>
@@ -108,8 +128,25 @@
         });
     }
 
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', function (e) {
+            if (!e.data) return;
+            if (e.data.type === 'served-from-cache') setConnection('offline');
+            if (e.data.type === 'served-from-network' && navigator.onLine !== false) setConnection('live');
+        });
+        window.addEventListener('offline', function () { setConnection('offline'); });
+        window.addEventListener('online',  function () { setConnection('live'); });
+        window.addEventListener('load', function () {
+            navigator.serviceWorker.register('/sw.js').catch(function (err) {
+                console.warn('Service worker registration failed:', err);
+            });
+        });
+    }
+
     // Run
     initTheme();
+    registerServiceWorker();
     document.addEventListener('DOMContentLoaded', function () {
         renderNav();
         renderFooter();
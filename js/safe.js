@@ -0,0 +1,86 @@
+/* js/safe.js — Escaping and templating for anything written into HTML
+ *
+ * Logs and articles arrive through public GitHub issues, so every value is
+ * text until proven otherwise. Load this before nav.js on every page.
+ *
+ *   Safe.text(log.title)                   // &lt;b&gt; instead of <b>
+ *   Safe.attr(value)                       // inside a quoted attribute
+ *   Safe.url(log.wiki_url)                 // '' unless http(s), mailto or relative
+ *   Safe.color(item.company_color)         // '' unless #hex or var(--token)
+ *   Safe.html`<a href="${Safe.url(u)}">${title}</a>`   // every value escaped
+ *   Safe.html`<ul>${items.map(i => Safe.html`<li>${i}</li>`)}</ul>`
+ *   Safe.raw(markup)                       // already-escaped markup, passed through
+ *
+ * Safe.html returns a wrapper that stringifies to markup, so it can be
+ * assigned to innerHTML directly or nested inside another Safe.html.
+ */
+(function () {
+
+    const ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function Trusted(markup) {
+        this.markup = markup;
+    }
+    Trusted.prototype.toString = function () { return this.markup; };
+
+    /** Escape a value for use as element text. null/undefined become ''. */
+    function text(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Trusted) return value.markup;
+        return String(value).replace(/[&<>"']/g, c => ENTITIES[c]);
+    }
+
+    /** Escape a value for use inside a double- or single-quoted attribute. */
+    function attr(value) {
+        return text(value);
+    }
+
+    /**
+     * The URL itself when its scheme is allowed, otherwise ''. Relative URLs
+     * ("/posts/x/", "#article/id", "?q=") are allowed. Not escaped — pass
+     * the result through Safe.attr or Safe.html.
+     */
+    function url(value) {
+        if (value === null || value === undefined) return '';
+        const str = String(value).trim();
+        // Browsers ignore tabs, newlines and control characters inside a
+        // scheme ("java\tscript:"), so the check must ignore them too
+        const bare = str.replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = bare.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return str;
+        return ALLOWED_SCHEMES.includes(scheme[1].toLowerCase() + ':') ? str : '';
+    }
+
+    /**
+     * The value when it is a hex colour (#abc, #1d4ed8, #1d4ed8cc) or a
+     * var(--token), otherwise ''. For style attributes; pass the result
+     * through Safe.attr or Safe.html like any other value.
+     */
+    function color(value) {
+        const str = String(value === null || value === undefined ? '' : value).trim();
+        return /^#[0-9a-f]{3,8}$/i.test(str) || /^var\(--[\w-]+\)$/.test(str) ? str : '';
+    }
+
+    /** Mark markup as already safe. Only for strings this code built itself. */
+    function raw(markup) {
+        return new Trusted(markup === null || markup === undefined ? '' : String(markup));
+    }
+
+    function interpolate(value) {
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        if (value === false) return '';
+        return text(value);
+    }
+
+    /** Tagged template: every ${value} is escaped; arrays are joined. */
+    function html(strings, ...values) {
+        let out = strings[0];
+        values.forEach((value, i) => { out += interpolate(value) + strings[i + 1]; });
+        return new Trusted(out);
+    }
+
+    window.Safe = { text, attr, url, color, html, raw, ALLOWED_SCHEMES };
+
+})();
@@ -0,0 +1,219 @@
+/* js/tags.js — Topic pages and the tag index
+ *
+ * /tags/?tag=SpaceX lists every article and log carrying that tag, newest
+ * first, with the tags that most often appear alongside it. /tags/ on its
+ * own lists every tag with its usage count. Tags match case-insensitively,
+ * so "AI" and "ai" are one topic.
+ */
+(function () {
+
+    const RELATED_LIMIT = 10;
+
+    const tagState = {
+        articles:    [],
+        revision:    -1,        // LogStore.revision last rendered
+        sort:        'count',   // tag index order: 'count' | 'name'
+    };
+
+
+    function tagKey(tag) {
+        return String(tag || '').trim().toLowerCase();
+    }
+
+    function tagFromURL() {
+        return (new URLSearchParams(window.location.search).get('tag') || '').trim();
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Data
+    // ──────────────────────────────────────────────────────────────
+    // Articles and logs as one list; both carry a free-text `date` label
+    function entries() {
+        const articles = tagState.articles.map(a => ({
+            kind:  'article',
+            title: a.title,
+            text:  a.subtitle,
+            date:  a.date,
+            label: a.category,
+            tags:  a.tags || [],
+            href:  `/posts/${encodeURIComponent(a.slug)}/`,
+        }));
+
+        const logs = LogStore.getLogs().map(l => ({
+            kind:  'log',
+            title: l.title,
+            text:  l.sys_subtitle || l.description,
+            date:  l.date,
+            label: l.type || 'Log',
+            tags:  l.tags || [],
+            href:  `/timeline/#${encodeURIComponent(l.id)}`,
+        }));
+
+        return [...articles, ...logs];
+    }
+
+    // key -> { key, label, items }; label is the most used spelling of the tag
+    function buildIndex(list) {
+        const index = new Map();
+        list.forEach(item => {
+            const keys = new Set();
+            item.tags.forEach(tag => {
+                const key = tagKey(tag);
+                if (!key || keys.has(key)) return;
+                keys.add(key);
+                if (!index.has(key)) index.set(key, { key, label: tag, items: [], spellings: new Map() });
+                const topic = index.get(key);
+                topic.items.push(item);
+                topic.spellings.set(tag, (topic.spellings.get(tag) || 0) + 1);
+            });
+        });
+        index.forEach(topic => {
+            topic.label = [...topic.spellings].sort((a, b) => b[1] - a[1])[0][0];
+            delete topic.spellings;
+        });
+        return index;
+    }
+
+    // Tags that share the most entries with `topic`, ties broken by overall use
+    function relatedTags(topic, index) {
+        const shared = new Map();
+        topic.items.forEach(item => {
+            new Set(item.tags.map(tagKey)).forEach(key => {
+                if (key && key !== topic.key) shared.set(key, (shared.get(key) || 0) + 1);
+            });
+        });
+        return [...shared]
+            .map(([key, count]) => ({ topic: index.get(key), count }))
+            .sort((a, b) => b.count - a.count ||
+                b.topic.items.length - a.topic.items.length ||
+                a.topic.label.localeCompare(b.topic.label))
+            .slice(0, RELATED_LIMIT);
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Rendering
+    // ──────────────────────────────────────────────────────────────
+    function tagChip(topic, count) {
+        return `<a href="${Safe.attr(Articles.tagURL(topic.label))}" class="tag-chip">#${Safe.text(topic.label)}<span class="tag-chip-count">${count}</span></a>`;
+    }
+
+    function plural(n, word) {
+        return `${n} ${word}${n === 1 ? '' : 's'}`;
+    }
+
+    function setHero(title, intro) {
+        document.getElementById('tag-title').textContent = title;
+        document.getElementById('tag-intro').textContent = intro;
+    }
+
+    function renderResult(item, activeKey) {
+        const tags = item.tags.map(t => tagKey(t) === activeKey
+            ? `<span class="tag-link current" aria-current="page">#${Safe.text(t)}</span>`
+            : `<a href="${Safe.attr(Articles.tagURL(t))}" class="tag-link">#${Safe.text(t)}</a>`).join('');
+        return `
+            <li class="tag-result">
+                <div class="tag-result-meta">
+                    <span class="tag-kind tag-kind-${item.kind}">${item.kind === 'article' ? 'Article' : 'Log'}</span>
+                    <span>${Safe.text(item.date || 'Undated')}</span>
+                    <span>&middot;</span>
+                    <span>${Safe.text(item.label)}</span>
+                </div>
+                <a href="${Safe.attr(item.href)}" class="tag-result-title">${Safe.text(item.title)}</a>
+                ${item.text ? `<p class="tag-result-text">${Safe.text(item.text)}</p>` : ''}
+                <div class="tag-result-tags">${tags}</div>
+            </li>`;
+    }
+
+    function renderTopic(container, index, tag) {
+        const key = tagKey(tag);
+        const topic = index.get(key);
+        const label = topic ? topic.label : tag;
+        document.title = `#${label} — Topics — The Simulation Log`;
+
+        if (!topic) {
+            setHero(`#${label}`, 'Every article and log tagged with this topic, newest first.');
+            container.innerHTML = LogStore.isSettled()
+                ? `<div class="empty-state">Nothing is tagged #${Safe.text(label)} yet. <a href="/tags/">Browse all topics</a>.</div>`
+                : '<div class="empty-state">Loading&hellip;</div>';
+            return;
+        }
+
+        const items = topic.items.slice().sort(LogDates.compareLogs('desc'));
+        const articles = items.filter(i => i.kind === 'article').length;
+        const related = relatedTags(topic, index);
+        setHero(`#${label}`, `${plural(articles, 'article')} and ${plural(items.length - articles, 'log')} tagged #${label}, newest first.`);
+
+        container.innerHTML = `
+            <a href="/tags/" class="tag-back">&larr; All topics</a>
+            ${related.length ? `
+            <div class="tag-related" role="group" aria-label="Related topics">
+                <span class="tag-related-label">Related</span>
+                ${related.map(r => tagChip(r.topic, r.count)).join('')}
+            </div>` : ''}
+            <div class="section-head">
+                <span class="section-title">Newest first</span>
+                <span class="section-count">${items.length} ${items.length === 1 ? 'entry' : 'entries'}</span>
+            </div>
+            <ol class="tag-results">${items.map(item => renderResult(item, key)).join('')}</ol>`;
+    }
+
+    function renderIndex(container, index) {
+        document.title = 'Topics — The Simulation Log';
+        setHero('Topics', 'Every tag used across the articles and the log archive. Pick one to see everything that shares it.');
+
+        const topics = [...index.values()].sort(tagState.sort === 'name'
+            ? (a, b) => a.label.localeCompare(b.label)
+            : (a, b) => b.items.length - a.items.length || a.label.localeCompare(b.label));
+
+        if (!topics.length) {
+            container.innerHTML = `<div class="empty-state">${LogStore.isSettled() ? 'No tags yet.' : 'Loading&hellip;'}</div>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="section-head">
+                <span class="section-title">All topics</span>
+                <span class="section-count">${plural(topics.length, 'tag')}</span>
+            </div>
+            <div class="chart-seg tag-sort" role="group" aria-label="Sort topics">
+                <button type="button" class="chart-seg-btn" data-sort="count" aria-pressed="${tagState.sort === 'count'}">Most used</button>
+                <button type="button" class="chart-seg-btn" data-sort="name" aria-pressed="${tagState.sort === 'name'}">A&ndash;Z</button>
+            </div>
+            <div class="tag-index">${topics.map(t => tagChip(t, t.items.length)).join('')}</div>`;
+
+        container.querySelectorAll('[data-sort]').forEach(btn => btn.addEventListener('click', () => {
+            tagState.sort = btn.dataset.sort;
+            render();
+            const again = container.querySelector(`[data-sort="${tagState.sort}"]`);
+            if (again) again.focus();
+        }));
+    }
+
+    function render() {
+        const container = document.getElementById('tag-page');
+        if (!container) return;
+        const index = buildIndex(entries());
+        const tag = tagFromURL();
+        if (tag) renderTopic(container, index, tag);
+        else renderIndex(container, index);
+    }
+
+    function onShardsChanged() {
+        LogStore.renderStatus(document.getElementById('tag-shards'));
+        if (LogStore.revision === tagState.revision) return;
+        tagState.revision = LogStore.revision;
+        render();
+    }
+
+    async function init() {
+        tagState.articles = await Articles.load();
+        render();
+
+        LogStore.subscribe(onShardsChanged);
+        await LogStore.init({ base: '/logs/' });
+        await LogStore.loadAll();
+    }
+
+    init();
+
+})();
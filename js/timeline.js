@@ -0,0 +1,476 @@
+/* js/timeline.js — Cross-era history timeline of every log shard
+ *
+ * Each event is a link: clicking it opens the log in the detail panel, and
+ * /timeline/#<id> opens the page on that log.
+ */
+(function () {
+
+    const TL_NS = 'http://www.w3.org/2000/svg';
+
+    // Colour per log `type`; unknown types fall back to a hashed palette colour
+    const TYPE_COLORS = {
+        'AI & Tech':        '#1d4ed8',
+        'Hardware':         '#0891b2',
+        'Robotics':         '#7c3aed',
+        'Space & Sci':      '#d97706',
+        'Energy & Climate': '#059669',
+        'Health & World':   '#db2777',
+        'World & History':  '#dc2626',
+        'Economy':          '#4b5563',
+    };
+    const FALLBACK_COLORS = ['#0f766e', '#9333ea', '#b45309', '#2563eb', '#be123c'];
+
+    // Years are placed on -log10(ANCHOR - year): each step left is ten times
+    // further back, so 13.8 billion years and last month share one axis.
+    const ANCHOR = new Date().getFullYear() + 2;
+
+    const ERA_JUMPS = [
+        { label: 'All',          from: null,   to: null },
+        { label: 'Deep Time',    from: -1.4e10, to: -1e4 },
+        { label: 'Ancient',      from: -1.2e4,  to: 1900 },
+        { label: '20th Century', from: 1895,    to: 2001 },
+        { label: '2000–Today',   from: 1998,    to: ANCHOR - 1 },
+    ];
+
+    const tlState = {
+        events:   [],
+        undated:  [],
+        full:     { u0: -11, u1: 0 },
+        view:     { u0: -11, u1: 0 },
+        selected: null,
+        reveal:   false,   // bring the detail panel into view on the next selection
+        revision: -1,   // LogStore.revision the events were built from
+    };
+
+    function yearToU(year) {
+        return -Math.log10(Math.max(ANCHOR - year, 1e-3));
+    }
+
+    function uToYear(u) {
+        return ANCHOR - Math.pow(10, -u);
+    }
+
+    function typeColor(type) {
+        if (TYPE_COLORS[type]) return TYPE_COLORS[type];
+        let h = 0;
+        for (const ch of String(type || '')) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+        return FALLBACK_COLORS[h % FALLBACK_COLORS.length];
+    }
+
+
+    // Human label for a position on the axis
+    function formatYear(year) {
+        const ago = ANCHOR - year;
+        if (ago >= 1e9) return `${+(ago / 1e9).toFixed(1)}B yrs ago`;
+        if (ago >= 1e6) return `${+(ago / 1e6).toFixed(1)}M yrs ago`;
+        if (ago >= 2e4) return `${Math.round(ago / 1e3)}k yrs ago`;
+        const y = Math.round(year);
+        return y <= 0 ? `${1 - y} BC` : String(y);
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Data loading
+    // ──────────────────────────────────────────────────────────────
+    // Rebuilt every time a shard arrives; the view follows the full range
+    // until the reader zooms or pans away from it.
+    function prepareEvents(logs) {
+        const wasFull = tlState.view.u0 === tlState.full.u0 && tlState.view.u1 === tlState.full.u1;
+        tlState.events = [];
+        tlState.undated = [];
+
+        const seen = new Set();
+        logs.forEach(log => {
+            if (!log || !log.id || seen.has(log.id)) return;
+            seen.add(log.id);
+            const d = LogDates.parse(log.date);
+            if (d.start === null) {
+                tlState.undated.push(log);
+                return;
+            }
+            const year = (d.start + d.end) / 2;
+            tlState.events.push({ log, year, u: yearToU(year), color: typeColor(log.type) });
+        });
+        tlState.events.sort((a, b) => a.u - b.u);
+
+        if (tlState.events.length) {
+            const first = tlState.events[0].u, last = tlState.events[tlState.events.length - 1].u;
+            const pad = Math.max((last - first) * 0.03, 0.05);
+            tlState.full = { u0: first - pad, u1: last + pad };
+            if (wasFull) tlState.view = { ...tlState.full };
+        }
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // View window — zoom & pan
+    // ──────────────────────────────────────────────────────────────
+    const MIN_SPAN = 0.02;
+
+    function setView(u0, u1) {
+        const full = tlState.full;
+        let span = Math.min(Math.max(u1 - u0, MIN_SPAN), full.u1 - full.u0);
+        u0 = Math.min(Math.max(u0, full.u0), full.u1 - span);
+        tlState.view = { u0, u1: u0 + span };
+        scheduleRender();
+    }
+
+    function zoomAt(factor, anchorU) {
+        const { u0, u1 } = tlState.view;
+        if (anchorU === undefined) anchorU = (u0 + u1) / 2;
+        setView(anchorU - (anchorU - u0) * factor, anchorU + (u1 - anchorU) * factor);
+    }
+
+    function jumpToYears(from, to) {
+        if (from === null) return setView(tlState.full.u0, tlState.full.u1);
+        setView(yearToU(from), yearToU(to));
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Rendering
+    // ──────────────────────────────────────────────────────────────
+    const TL_H = 300;
+    const TL_PAD = { top: 20, right: 24, bottom: 40, left: 24 };
+    const LANE_H = 24;
+    const MAX_LANES = Math.floor((TL_H - TL_PAD.top - TL_PAD.bottom - 10) / LANE_H);
+
+    let renderQueued = false;
+
+    function scheduleRender() {
+        if (renderQueued) return;
+        renderQueued = true;
+        requestAnimationFrame(() => { renderQueued = false; renderTimeline(); });
+    }
+
+    function makeEl(tag, attrs) {
+        const el = document.createElementNS(TL_NS, tag);
+        Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, v));
+        return el;
+    }
+
+    // Candidate tick distances (years before present): 1, 2, 5, 10, 20, 50 …
+    function tickCandidates() {
+        const out = [];
+        for (let p = 0; p <= 10; p++) [1, 2, 5].forEach(m => out.push(m * Math.pow(10, p)));
+        return out;
+    }
+
+    function renderTimeline() {
+        const viewport = document.getElementById('tlx-viewport');
+        if (!viewport) return;
+
+        const W = Math.max(viewport.clientWidth, 320);
+        const CW = W - TL_PAD.left - TL_PAD.right;
+        const axisY = TL_H - TL_PAD.bottom;
+        const { u0, u1 } = tlState.view;
+        const xOf = u => TL_PAD.left + (u - u0) / (u1 - u0) * CW;
+
+        const svg = makeEl('svg', { viewBox: `0 0 ${W} ${TL_H}`, width: W, height: TL_H, class: 'tlx-svg' });
+
+        // Ticks — keep only those at least 70px apart
+        let lastTickX = -Infinity;
+        tickCandidates()
+            .map(ago => ANCHOR - ago)
+            .concat(calendarTicks(u0, u1))
+            .map(year => ({ year, x: xOf(yearToU(year)) }))
+            .filter(t => t.x >= TL_PAD.left && t.x <= W - TL_PAD.right)
+            .sort((a, b) => a.x - b.x)
+            .forEach(t => {
+                if (t.x - lastTickX < 70) return;
+                lastTickX = t.x;
+                svg.appendChild(makeEl('line', { x1: t.x, y1: TL_PAD.top, x2: t.x, y2: axisY, class: 'svg-gridline' }));
+                const lbl = makeEl('text', { x: t.x, y: axisY + 18, 'text-anchor': 'middle', class: 'svg-label tlx-tick' });
+                lbl.textContent = formatYear(t.year);
+                svg.appendChild(lbl);
+            });
+
+        svg.appendChild(makeEl('line', { x1: TL_PAD.left, y1: axisY, x2: W - TL_PAD.right, y2: axisY, class: 'svg-axis' }));
+
+        // Events — stacked into lanes so nearby points don't overlap
+        const laneEnds = new Array(MAX_LANES).fill(-Infinity);
+        const labelEnds = new Array(MAX_LANES).fill(-Infinity);
+        tlState.events.forEach(ev => {
+            const x = xOf(ev.u);
+            if (x < TL_PAD.left - 6 || x > W - TL_PAD.right + 6) return;
+
+            let lane = laneEnds.findIndex(end => x - end >= 14);
+            if (lane === -1) lane = laneEnds.indexOf(Math.min(...laneEnds));
+            laneEnds[lane] = x;
+            const y = axisY - 16 - lane * LANE_H;
+
+            const isLow = String(ev.log.importance || '').toLowerCase() === 'low';
+            // A real link to the log, so it can also be opened in a new tab
+            const g = makeEl('a', { class: 'tlx-event', href: `#${encodeURIComponent(ev.log.id)}` });
+            g.setAttribute('aria-label', `${ev.log.title} — ${ev.log.date}`);
+            g.appendChild(makeEl('line', { x1: x, y1: y, x2: x, y2: axisY, stroke: ev.color, 'stroke-opacity': '0.25' }));
+            const dot = makeEl('circle', {
+                cx: x, cy: y, r: isLow ? 4 : 6,
+                fill: ev.color,
+                stroke: tlState.selected === ev.log.id ? 'var(--ink)' : 'var(--bg)',
+                'stroke-width': tlState.selected === ev.log.id ? 2.5 : 1.5,
+            });
+            g.appendChild(dot);
+
+            const title = ev.log.title || '';
+            const text = title.length > 28 ? title.slice(0, 27) + '…' : title;
+            const estW = text.length * 6;
+            if (x + 9 + estW < W - TL_PAD.right && x > labelEnds[lane]) {
+                const lbl = makeEl('text', { x: x + 9, y: y + 4, class: 'svg-label tlx-event-label' });
+                lbl.textContent = text;
+                g.appendChild(lbl);
+                labelEnds[lane] = x + 9 + estW;
+                laneEnds[lane] = x + 9 + estW;
+            }
+
+            g.addEventListener('mouseenter', e => showTip(ev, e));
+            g.addEventListener('mousemove', e => positionTip(e));
+            g.addEventListener('mouseleave', hideTip);
+            g.addEventListener('click', e => {
+                if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+                e.preventDefault();
+                openLog(ev.log.id);
+            });
+            svg.appendChild(g);
+        });
+
+        const old = viewport.querySelector('svg');
+        if (old) viewport.replaceChild(svg, old); else viewport.appendChild(svg);
+    }
+
+    // Calendar-year ticks so recent views show 1990, 2000 … rather than "35 yrs ago"
+    function calendarTicks(u0, u1) {
+        const y0 = uToYear(u0), y1 = uToYear(u1);
+        if (y0 < 0) return [];
+        const span = y1 - y0;
+        const step = span > 400 ? 100 : span > 80 ? 20 : span > 30 ? 10 : span > 8 ? 2 : 1;
+        const out = [];
+        for (let y = Math.ceil(y0 / step) * step; y <= y1; y += step) out.push(y);
+        return out;
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Tooltip & detail panel
+    // ──────────────────────────────────────────────────────────────
+    function getTip() {
+        const viewport = document.getElementById('tlx-viewport');
+        let tip = viewport.querySelector('.graph-tooltip');
+        if (!tip) {
+            tip = document.createElement('div');
+            tip.className = 'graph-tooltip';
+            tip.style.display = 'none';
+            viewport.appendChild(tip);
+        }
+        return tip;
+    }
+
+    function showTip(ev, e) {
+        const tip = getTip();
+        tip.innerHTML = `
+            <div class="gt-model">${Safe.text(ev.log.title)}</div>
+            <div class="gt-co">${Safe.text(ev.log.date)} &middot; ${Safe.text(ev.log.region || 'Global')}</div>
+            <div class="gt-row"><span>Type</span><strong>${Safe.text(ev.log.type || 'Log')}</strong></div>`;
+        tip.style.display = 'block';
+        positionTip(e);
+    }
+
+    function positionTip(e) {
+        const viewport = document.getElementById('tlx-viewport');
+        const tip = getTip();
+        const r = viewport.getBoundingClientRect();
+        let x = e.clientX - r.left + 14, y = e.clientY - r.top - 60;
+        const tw = tip.offsetWidth || 200;
+        if (x + tw > r.width - 8) x = e.clientX - r.left - tw - 14;
+        if (y < 4) y = e.clientY - r.top + 16;
+        tip.style.left = x + 'px';
+        tip.style.top = y + 'px';
+    }
+
+    function hideTip() {
+        getTip().style.display = 'none';
+    }
+
+    // Clicking an event opens its log: the detail panel scrolls into view and
+    // takes focus, and the URL (/timeline/#<id>) links straight back to it
+    function openLog(id) {
+        tlState.reveal = true;
+        selectLog(id);
+    }
+
+    // The log id in the URL fragment; '' when there is none or it is malformed
+    function hashId() {
+        try {
+            return decodeURIComponent(window.location.hash.slice(1));
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function selectLog(id) {
+        if (!id) {
+            // Bare /timeline/ (e.g. after Back): clear without adding a history entry
+            tlState.selected = null;
+            renderDetail(null);
+            scheduleRender();
+            return;
+        }
+        if (window.location.hash !== `#${encodeURIComponent(id)}`) {
+            window.location.hash = encodeURIComponent(id);
+            return; // hashchange re-enters here
+        }
+        const ev = tlState.events.find(e => e.log.id === id);
+        const log = ev ? ev.log : tlState.undated.find(l => l.id === id);
+        tlState.selected = log ? log.id : null;
+        renderDetail(log, 'Log not found. Select an event on the timeline.');
+        scheduleRender();
+        if (tlState.reveal) {
+            tlState.reveal = false;
+            const title = document.querySelector('#tlx-detail .tlx-detail-title');
+            if (title) {
+                title.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                title.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    function renderDetail(log, emptyText) {
+        const panel = document.getElementById('tlx-detail');
+        if (!panel) return;
+        if (!log) {
+            panel.innerHTML = `<div class="empty-state">${Safe.text(emptyText || 'Select an event on the timeline to read its log.')}</div>`;
+            return;
+        }
+        const wikiURL = Safe.url(log.wiki_url);
+        const tags = (log.tags || []).map(t => `<a href="${Safe.attr(Articles.tagURL(t))}" class="tlx-tag">#${Safe.text(t)}</a>`).join('');
+        panel.innerHTML = `
+            <div class="tlx-detail-meta">
+                <span class="tlx-type" style="background:${typeColor(log.type)};">${Safe.text(log.type || 'Log')}</span>
+                <span>${Safe.text(log.date)}</span>
+                <span>&middot;</span>
+                <span>${Safe.text(log.region || 'Global')}</span>
+                ${log.version ? `<span class="tlx-version">${Safe.text(log.version)}</span>` : ''}
+            </div>
+            <h2 class="tlx-detail-title" tabindex="-1">${Safe.text(log.title)}</h2>
+            ${log.sys_subtitle ? `<p class="tlx-detail-sub">${Safe.text(log.sys_subtitle)}</p>` : ''}
+            <p class="tlx-detail-desc">${Safe.text(log.description)}</p>
+            <div class="tlx-detail-foot">
+                <div>${tags}</div>
+                <div class="tlx-detail-links">
+                    ${log.article ? `<a href="/posts/${Safe.attr(encodeURIComponent(log.article))}/" class="read-btn">Read the full article &rarr;</a>` : ''}
+                    ${wikiURL ? `<a href="${Safe.attr(wikiURL)}" target="_blank" rel="noopener" class="read-btn">Wikipedia &rarr;</a>` : ''}
+                </div>
+            </div>`;
+    }
+
+    function renderLegend() {
+        const legend = document.getElementById('tlx-legend');
+        if (!legend) return;
+        const types = [...new Set(tlState.events.map(e => e.log.type || 'Log'))].sort();
+        legend.innerHTML = types.map(t =>
+            `<span><span class="legend-dot" style="background:${typeColor(t)};"></span>${Safe.text(t)}</span>`
+        ).join('') + (tlState.undated.length
+            ? `<span class="tlx-undated">${tlState.undated.length} recurring or undated ${tlState.undated.length === 1 ? 'log' : 'logs'} not plotted: ${
+                tlState.undated.map(l => `<a href="#${Safe.attr(l.id)}">${Safe.text(l.title)}</a>`).join(', ')}</span>`
+            : '');
+    }
+
+    function renderEraButtons() {
+        const wrap = document.getElementById('tlx-eras');
+        if (!wrap) return;
+        wrap.innerHTML = ERA_JUMPS.map((era, i) =>
+            `<button type="button" class="tlx-btn" data-era="${i}">${Safe.text(era.label)}</button>`
+        ).join('');
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Interaction
+    // ──────────────────────────────────────────────────────────────
+    function setupInteraction() {
+        const viewport = document.getElementById('tlx-viewport');
+        if (!viewport) return;
+
+        const uAtClientX = clientX => {
+            const r = viewport.getBoundingClientRect();
+            const frac = (clientX - r.left - TL_PAD.left) / (r.width - TL_PAD.left - TL_PAD.right);
+            return tlState.view.u0 + frac * (tlState.view.u1 - tlState.view.u0);
+        };
+
+        viewport.addEventListener('wheel', e => {
+            e.preventDefault();
+            zoomAt(e.deltaY > 0 ? 1.2 : 1 / 1.2, uAtClientX(e.clientX));
+        }, { passive: false });
+
+        let drag = null;
+        viewport.addEventListener('pointerdown', e => {
+            if (e.target.closest('.tlx-event')) return;
+            drag = { x: e.clientX, view: { ...tlState.view } };
+            viewport.setPointerCapture(e.pointerId);
+            viewport.classList.add('dragging');
+        });
+        viewport.addEventListener('pointermove', e => {
+            if (!drag) return;
+            const r = viewport.getBoundingClientRect();
+            const span = drag.view.u1 - drag.view.u0;
+            const du = -(e.clientX - drag.x) / (r.width - TL_PAD.left - TL_PAD.right) * span;
+            setView(drag.view.u0 + du, drag.view.u1 + du);
+        });
+        const endDrag = () => { drag = null; viewport.classList.remove('dragging'); };
+        viewport.addEventListener('pointerup', endDrag);
+        viewport.addEventListener('pointercancel', endDrag);
+
+        document.addEventListener('click', e => {
+            const zoomBtn = e.target.closest('[data-zoom]');
+            if (zoomBtn) {
+                const z = zoomBtn.dataset.zoom;
+                if (z === 'in') zoomAt(1 / 1.5);
+                else if (z === 'out') zoomAt(1.5);
+                else setView(tlState.full.u0, tlState.full.u1);
+            }
+            const eraBtn = e.target.closest('[data-era]');
+            if (eraBtn) {
+                const era = ERA_JUMPS[+eraBtn.dataset.era];
+                jumpToYears(era.from, era.to);
+            }
+        });
+
+        viewport.addEventListener('keydown', e => {
+            if (e.target.closest('.tlx-event')) return;
+            const span = tlState.view.u1 - tlState.view.u0;
+            if (e.key === 'ArrowLeft')  setView(tlState.view.u0 - span * 0.1, tlState.view.u1 - span * 0.1);
+            if (e.key === 'ArrowRight') setView(tlState.view.u0 + span * 0.1, tlState.view.u1 + span * 0.1);
+            if (e.key === '+' || e.key === '=') zoomAt(1 / 1.5);
+            if (e.key === '-') zoomAt(1.5);
+        });
+
+        window.addEventListener('resize', scheduleRender);
+        window.addEventListener('hashchange', () => selectLog(hashId()));
+    }
+
+    function onShardsChanged() {
+        LogStore.renderStatus(document.getElementById('tlx-shards'));
+        if (LogStore.revision === tlState.revision) return;
+        tlState.revision = LogStore.revision;
+
+        prepareEvents(LogStore.getLogs());
+        renderLegend();
+        scheduleRender();
+        if (tlState.selected === null && hashId()) selectLog(hashId());
+    }
+
+    async function init() {
+        const viewport = document.getElementById('tlx-viewport');
+        if (viewport) {
+            viewport.setAttribute('tabindex', '0');
+            viewport.setAttribute('aria-label', 'History timeline. Use arrow keys to pan and plus or minus to zoom.');
+        }
+        renderEraButtons();
+        setupInteraction();
+
+        // Current year first, then every older shard as it arrives
+        LogStore.subscribe(onShardsChanged);
+        await LogStore.init({ base: '/logs/' });
+        await LogStore.loadCurrent();
+        await LogStore.loadAll();
+        if (hashId()) selectLog(hashId());
+    }
+
+    init();
+
+})();
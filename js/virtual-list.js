@@ -0,0 +1,211 @@
+/* js/virtual-list.js — Windowed rendering for long lists, tables and grids
+ *
+ * Only the rows inside the viewport (plus a few either side) are in the DOM;
+ * spacer elements above and below keep the scroll height right. The page
+ * itself scrolls, so the list can sit anywhere in normal flow.
+ *
+ *   const list = VirtualList.create({
+ *       container: tbody,                      // items are rendered into it
+ *       renderItem: (item, index) => element,
+ *       keyOf: item => item.id,
+ *       spacer: () => element,                 // e.g. a <tr> for a <tbody>
+ *       empty: () => element,                  // shown for zero items
+ *       estimate: 48,                          // row height in px before measuring
+ *   });
+ *   list.setItems(items, { token })   // token change = re-render every item
+ *   list.refresh()                    // after the container becomes visible
+ *
+ * Grids are laid out in rows of as many items as the container has CSS grid
+ * columns. Elements whose key is still on screen are kept between updates,
+ * so keyboard focus survives filtering; if the focused item moves, the page
+ * scrolls to keep it where it was.
+ */
+(function () {
+
+    const OVERSCAN = 6;
+
+    function create(options) {
+        const container = options.container;
+        const keyOf = options.keyOf || ((item, i) => i);
+        const overscan = options.overscan === undefined ? OVERSCAN : options.overscan;
+
+        let items = [];
+        let token;
+        let heights = new Map();   // row index -> measured px
+        let estimate = options.estimate || 48;
+        let rendered = new Map();  // key -> element currently in the DOM
+        let range = null;
+        let frame = null;
+        let dirty = true;          // items changed since the last render
+
+        const makeSpacer = () => {
+            const el = options.spacer ? options.spacer() : document.createElement('div');
+            el.setAttribute('aria-hidden', 'true');
+            el.dataset.vspacer = '';
+            return el;
+        };
+        const top = makeSpacer();
+        const bottom = makeSpacer();
+
+        function columns() {
+            const tpl = getComputedStyle(container).gridTemplateColumns;
+            return tpl && tpl !== 'none' ? Math.max(1, tpl.trim().split(/\s+/).length) : 1;
+        }
+
+        const rowHeight = r => heights.has(r) ? heights.get(r) : estimate;
+
+        // Offset of every row start, plus the total height at the end
+        function offsets(rows) {
+            const out = new Array(rows + 1);
+            out[0] = 0;
+            for (let r = 0; r < rows; r++) out[r + 1] = out[r] + rowHeight(r);
+            return out;
+        }
+
+        function visibleRows(offs, rows) {
+            const listTop = container.getBoundingClientRect().top;
+            const y0 = Math.max(0, -listTop);
+            const y1 = Math.max(y0, window.innerHeight - listTop);
+            let first = 0;
+            while (first < rows - 1 && offs[first + 1] <= y0) first++;
+            let last = first;
+            while (last < rows - 1 && offs[last + 1] < y1) last++;
+            return [Math.max(0, first - overscan), Math.min(rows - 1, last + overscan)];
+        }
+
+        function elementFor(item, index) {
+            const key = String(keyOf(item, index));
+            let el = rendered.get(key);
+            if (!el) {
+                el = options.renderItem(item, index);
+                el.dataset.vkey = key;
+            }
+            return el;
+        }
+
+        // Put `wanted` into the container in order, moving as few nodes as possible
+        function reconcile(wanted) {
+            wanted.forEach((el, i) => {
+                const at = container.children[i];
+                if (at !== el) container.insertBefore(el, at || null);
+            });
+            while (container.children.length > wanted.length) container.lastElementChild.remove();
+        }
+
+        // Real row heights from the rendered rows; unmeasured rows use their average
+        function measure(cols, first, last) {
+            const els = [...container.children].filter(el => el.dataset.vkey !== undefined);
+            const gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+            for (let r = first; r <= last; r++) {
+                const row = els.slice((r - first) * cols, (r - first + 1) * cols);
+                if (!row.length) break;
+                const rects = row.map(el => el.getBoundingClientRect());
+                const next = els[(r - first + 1) * cols];
+                const h = next
+                    ? next.getBoundingClientRect().top - rects[0].top
+                    : Math.max(...rects.map(b => b.bottom)) - rects[0].top + gap;
+                if (h > 0) heights.set(r, h);
+            }
+            if (heights.size) estimate = [...heights.values()].reduce((a, b) => a + b, 0) / heights.size;
+        }
+
+        function render() {
+            frame = null;
+            if (!items.length) {
+                dirty = false;
+                rendered = new Map();
+                range = null;
+                reconcile(options.empty ? [options.empty()] : []);
+                return;
+            }
+
+            const cols = columns();
+            const rows = Math.ceil(items.length / cols);
+            let offs = offsets(rows);
+            const [first, last] = visibleRows(offs, rows);
+            if (!dirty && range && range.first === first && range.last === last && range.cols === cols) return;
+            dirty = false;
+
+            const next = new Map();
+            const els = items.slice(first * cols, (last + 1) * cols).map((item, i) => {
+                const el = elementFor(item, first * cols + i);
+                next.set(el.dataset.vkey, el);
+                return el;
+            });
+            rendered = next;
+            range = { first, last, cols };
+
+            top.style.height = `${offs[first]}px`;
+            bottom.style.height = `${offs[rows] - offs[last + 1]}px`;
+            reconcile([top, ...els, bottom]);
+
+            measure(cols, first, last);
+            offs = offsets(rows);
+            top.style.height = `${offs[first]}px`;
+            bottom.style.height = `${offs[rows] - offs[last + 1]}px`;
+        }
+
+        function schedule() {
+            if (frame === null) frame = requestAnimationFrame(render);
+        }
+
+        // The focused item (if it is in this list) and where it sits on screen
+        function focusAnchor() {
+            const active = document.activeElement;
+            if (!active || !container.contains(active)) return null;
+            const el = active.closest('[data-vkey]');
+            if (!el) return null;
+            const focusables = [...el.querySelectorAll('a[href], button, input, select, textarea, [tabindex]')];
+            return { key: el.dataset.vkey, at: el === active ? -1 : focusables.indexOf(active), top: el.getBoundingClientRect().top };
+        }
+
+        function restoreFocus(anchor) {
+            const el = rendered.get(anchor.key);
+            if (!el) return;
+            const target = anchor.at < 0 ? el
+                : el.querySelectorAll('a[href], button, input, select, textarea, [tabindex]')[anchor.at];
+            if (target && document.activeElement !== target) target.focus({ preventScroll: true });
+        }
+
+        function setItems(next, opts) {
+            const anchor = focusAnchor();
+            const nextToken = opts && opts.token;
+            if (nextToken !== token) rendered = new Map();
+            token = nextToken;
+            items = next || [];
+            heights = new Map();
+            dirty = true;
+
+            // Keep a focused item at the same height on screen
+            if (anchor) {
+                const index = items.findIndex((item, i) => String(keyOf(item, i)) === anchor.key);
+                if (index >= 0) {
+                    const cols = columns();
+                    const offs = offsets(Math.ceil(items.length / cols));
+                    const listTop = container.getBoundingClientRect().top;
+                    const y = window.scrollY + listTop + offs[Math.floor(index / cols)] - anchor.top;
+                    window.scrollTo(0, Math.max(0, y));
+                }
+            }
+            render();
+            if (anchor) restoreFocus(anchor);
+        }
+
+        window.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+
+        return {
+            setItems,
+            refresh() { dirty = true; render(); },
+            destroy() {
+                window.removeEventListener('scroll', schedule);
+                window.removeEventListener('resize', schedule);
+                if (frame !== null) cancelAnimationFrame(frame);
+                container.innerHTML = '';
+            },
+        };
+    }
+
+    window.VirtualList = { create };
+
+})();
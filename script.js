@@ -24,155 +24,47 @@ document.addEventListener('DOMContentLoaded', () => {
     const dbSortSelect       = document.getElementById('sort-select');
     const dbFilterBtns       = document.querySelectorAll('#db-filter-tabs .filter-btn');
     const dbViewBtns         = document.querySelectorAll('.view-toggle .view-btn');
+    const shardStatusEl      = document.getElementById('shard-status');
 
     // =========================================================
     // App State
     // =========================================================
     let allLogs = [];
+    let appReady = false;
+    let shardRevision = -1;   // LogStore.revision allLogs was taken from
 
     let dbFilters = {
         search:   '',
         shard:    'all',
-        sort:     'date-desc',
-        viewMode: 'table'
+        sort:     'relevance',
+        viewMode: 'table',
+        columns:  [],   // table columns shown, see DB_COLUMNS
+        widths:   {},   // column id -> px, only where resized
+        order:    []    // header sort keys [{ col, desc }], primary first
     };
 
-    // =========================================================
-    // AI TIMELINE DATA — Rich, verified model data
-    // =========================================================
-    const aiTimelineData = [
-        {
-            year: 2020,
-            model: "GPT-3",
-            subtitle: "175 Billion Parameters — The Scale Breakthrough",
-            company: "OpenAI",
-            company_color: "#10a37f",
-            type: "Foundation Model",
-            release_date: "June 2020",
-            compute: "3.14 × 10²³",
-            params: "175B",
-            context: "4,096 tokens",
-            benchmark: "MMLU ~60%",
-            description: "GPT-3 established that scale alone — no task-specific training — could unlock emergent natural language abilities. Zero-shot and few-shot generation, translation, and code synthesis emerged as parameter counts crossed the 100-billion threshold.",
-            impact: "Demonstrated the scaling law hypothesis and launched the modern race for large language models across every major AI lab.",
-            real: true
-        },
-        {
-            year: 2022,
-            model: "ChatGPT",
-            subtitle: "100 Million Users in 60 Days — Consumer AI Arrives",
-            company: "OpenAI",
-            company_color: "#10a37f",
-            type: "Consumer Breakout",
-            release_date: "November 2022",
-            compute: "1.2 × 10²⁴",
-            params: "~20B (est.)",
-            context: "4,096 tokens",
-            benchmark: "RLHF alignment",
-            description: "Reinforcement Learning from Human Feedback (RLHF) transformed a powerful but inconsistent language model into a reliable conversational assistant. The public launch triggered the fastest adoption curve of any consumer technology in history.",
-            impact: "Ended the expert-only era of AI. Forced Google, Meta, and Anthropic to accelerate public model releases by 12–18 months.",
-            real: true
-        },
-        {
-            year: 2023,
-            model: "GPT-4 & Gemini Ultra",
-            subtitle: "Multimodal Reasoning — Professional Exam Performance",
-            company: "OpenAI / Google DeepMind",
-            company_color: "#4285f4",
-            type: "Multimodal Frontier",
-            release_date: "March 2023",
-            compute: "2.1 × 10²⁵",
-            params: "~1T (est., MoE)",
-            context: "128,000 tokens",
-            benchmark: "Bar Exam top 10%",
-            description: "GPT-4 and Gemini Ultra independently cleared professional licensing exams in law, medicine, and finance. Extended context windows, image understanding, and chain-of-thought reasoning elevated AI from chat tool to knowledge professional.",
-            impact: "Established AI as capable of passing professional credentialing standards, triggering regulatory and licensing debates worldwide.",
-            real: true
-        },
-        {
-            year: 2024,
-            model: "Claude 3.5 Sonnet & Sora",
-            subtitle: "Coding AI & Photorealistic Video Generation",
-            company: "Anthropic / OpenAI",
-            company_color: "#d4a574",
-            type: "Video & Code AI",
-            release_date: "June 2024",
-            compute: "8.5 × 10²⁵",
-            params: "~70B (Claude est.)",
-            context: "200,000 tokens",
-            benchmark: "HumanEval 92%",
-            description: "Claude 3.5 Sonnet achieved near-human code synthesis on standardised benchmarks and introduced computer-use APIs allowing agents to operate graphical interfaces. Simultaneously, Sora demonstrated minute-long photorealistic video generation from text prompts with coherent physics.",
-            impact: "Marked the beginning of AI-driven software development pipelines, with agentic coding assistants replacing boilerplate work across the industry.",
-            real: true
-        },
-        {
-            year: 2025,
-            model: "DeepSeek-R1",
-            subtitle: "Open-Weights Reasoning at Fraction of Compute Cost",
-            company: "DeepSeek",
-            company_color: "#e74c3c",
-            type: "Reasoning Optimization",
-            release_date: "January 2025",
-            compute: "1.4 × 10²⁶",
-            params: "671B (MoE, 37B active)",
-            context: "64,000 tokens",
-            benchmark: "AIME 2024: 79.8%",
-            description: "DeepSeek-R1 published fully open weights that matched or exceeded GPT-4o on mathematical and scientific reasoning benchmarks, trained at approximately 5% of the estimated compute cost of comparable proprietary models. The release exposed the gap between model capability and training efficiency.",
-            impact: "Triggered a global re-evaluation of AI hardware procurement strategies. Nvidia lost $590B in market cap in a single trading session.",
-            real: true
-        },
-        {
-            year: 2026,
-            model: "Gemini 3.6 & Autonomous Agents",
-            subtitle: "IDE-Integrated Coding Agents — Subagent Task Execution",
-            company: "Google DeepMind",
-            company_color: "#4285f4",
-            type: "Agentic AI Suite",
-            release_date: "August 2026",
-            compute: "5.2 × 10²⁶",
-            params: "~2T+ (est.)",
-            context: "1M+ tokens",
-            benchmark: "SWE-Bench 78%+",
-            description: "Gemini 3.6 and companion agentic IDE systems autonomously manage workspace files, write and run test suites, install dependencies, spawn background subagents, and resolve multi-file bugs across full repositories without developer intervention in the loop.",
-            impact: "Shifted software engineering from code authorship to agent supervision. Teams of one developer now manage codebases previously requiring 5–10 engineers.",
-            real: true
-        },
-        {
-            year: 2027,
-            model: "Next-Generation Research Models",
-            subtitle: "Projected — Autonomous Scientific Hypothesis Generation",
-            company: "Global Research Consortia",
-            company_color: "#9ca3af",
-            type: "AGI Horizon",
-            release_date: "Projected 2027+",
-            compute: "~10²⁸ (projected)",
-            params: "Unknown",
-            context: "Unlimited (projected)",
-            benchmark: "TBD",
-            description: "Projected next-generation systems capable of continuous real-time retraining from live data, automated experimental design, and hypothesis verification. Early prototypes from multiple labs show partial achievement of self-directed research on narrow problem domains.",
-            impact: "Would represent the first AI systems capable of independently advancing scientific knowledge without human experimental design.",
-            real: false
-        }
-    ];
+    // Verbose Mode reveals low-importance logs (persisted per browser)
+    let verboseMode = localStorage.getItem('sim-log-verbose') === 'on';
+    let verboseToggles = [];   // one switch above the feed, one in the db controls
 
-    // Graph data — exact positions for the interactive compute chart
-    // Each entry ties to a modelIdx in aiTimelineData (null = minor milestone)
-    const graphPoints = [
-        { year: 2018.5,  label: "GPT (117M)",          compute: 4.6e19,  modelIdx: null, real: true },
-        { year: 2019.5,  label: "GPT-2 (1.5B)",         compute: 1.5e22,  modelIdx: null, real: true },
-        { year: 2020.5,  label: "GPT-3",                 compute: 3.14e23, modelIdx: 0,    real: true },
-        { year: 2021.5,  label: "Codex / DALL-E 2",      compute: 6e23,    modelIdx: null, real: true },
-        { year: 2022.4,  label: "ChatGPT",               compute: 1.2e24,  modelIdx: 1,    real: true },
-        { year: 2022.9,  label: "PaLM (540B)",           compute: 2.5e24,  modelIdx: null, real: true },
-        { year: 2023.25, label: "GPT-4",                 compute: 2.1e25,  modelIdx: 2,    real: true },
-        { year: 2023.75, label: "Gemini Ultra",          compute: 5e25,    modelIdx: null, real: true },
-        { year: 2024.25, label: "Claude 3.5 / Sora",    compute: 8.5e25,  modelIdx: 3,    real: true },
-        { year: 2024.75, label: "Llama 3.1 (405B)",     compute: 1.1e26,  modelIdx: null, real: true },
-        { year: 2025.0,  label: "DeepSeek-R1",          compute: 1.4e26,  modelIdx: 4,    real: true },
-        { year: 2025.75, label: "Llama 4 / Phi-5",      compute: 2.8e26,  modelIdx: null, real: true },
-        { year: 2026.5,  label: "Gemini 3.6",           compute: 5.2e26,  modelIdx: 5,    real: true },
-        { year: 2027.25, label: "Next-Gen (Projected)", compute: 2e28,    modelIdx: 6,    real: false }
-    ];
+    // AI models and compute milestones — loaded from data/ai-compute.json
+    let aiData = { models: [], points: [], errors: [] };
+
+    // Timeline model comparison (js/model-compare.js), selection in #ai-timeline?compare=a,b
+    let modelCompare = null;
+
+    // Compute graph instance and the lab/type filter bar shared with the timeline
+    let aiGraph = null;
+    let aiFilters = null;
+
+    // Windowed lists (js/virtual-list.js) for the news feed and database views
+    let feedList = null;
+    let dbTableList = null;
+    let dbGridList = null;
+    let dbSpacerCells = [];
+
+    // Column picker above the database table (built on first render)
+    let dbColumnPicker = null;
 
     // =========================================================
     // THEME TOGGLE
@@ -192,6 +84,63 @@ document.addEventListener('DOMContentLoaded', () => {
         applyTheme(current === 'dark' ? 'light' : 'dark');
     }
 
+    // =========================================================
+    // IMPORTANCE & VERBOSE MODE
+    // =========================================================
+    const IMPORTANCE_RANK = { high: 3, medium: 2, low: 1 };
+
+    function getImportance(log) {
+        const level = String(log.importance || '').toLowerCase();
+        return level in IMPORTANCE_RANK ? level : 'medium';
+    }
+
+    function isLogVisible(log) {
+        return verboseMode || getImportance(log) !== 'low';
+    }
+
+    function getVisibleLogs() {
+        return allLogs.filter(isLogVisible);
+    }
+
+    function initVerboseMode() {
+        verboseToggles.forEach(box => { box.checked = verboseMode; });
+        document.documentElement.classList.toggle('verbose-mode', verboseMode);
+    }
+
+    // The switches are built here rather than in the page markup, like the
+    // database column picker
+    function buildVerboseToggles() {
+        const place = (anchor, where) => {
+            if (!anchor) return;
+            const label = document.createElement('label');
+            label.className = 'verbose-switch';
+            label.title = 'Also show low-importance logs';
+            label.innerHTML = '<input type="checkbox"> Verbose Mode';
+            const box = label.querySelector('input');
+            box.checked = verboseMode;
+            box.addEventListener('change', () => setVerboseMode(box.checked));
+            anchor.insertAdjacentElement(where, label);
+            verboseToggles.push(box);
+        };
+        if (logCountElement) place(logCountElement, 'afterend');
+        else place(feedContainer, 'beforebegin');
+        place(document.getElementById('db-filter-tabs'), 'afterend');
+    }
+
+    function setVerboseMode(on) {
+        verboseMode = on;
+        localStorage.setItem('sim-log-verbose', on ? 'on' : 'off');
+        initVerboseMode();
+        renderHeroNewsCard();
+        renderNewsGrid();
+        renderDatabase();
+    }
+
+    function importanceBadge(log) {
+        const level = getImportance(log);
+        return `<span class="importance-badge importance-${level}" title="Importance: ${level}">${level}</span>`;
+    }
+
     // =========================================================
     // CLOCK & DATE
     // =========================================================
@@ -210,45 +159,68 @@ document.addEventListener('DOMContentLoaded', () => {
     // =========================================================
     // DATA LOADING
     // =========================================================
-    async function fetchAllData() {
-        try {
-            const manifestRes = await fetch('logs/manifest.json');
-            if (!manifestRes.ok) throw new Error('manifest not found');
-            const manifest = await manifestRes.json();
-
-            const files = [
-                ...(manifest.years_available || []).map(y => y.file),
-                ...(manifest.eras || []).map(e => e.file)
-            ];
-
-            const results = await Promise.all(
-                files.map(f => fetch(`logs/${f}`).then(r => r.ok ? r.json() : []).catch(() => []))
-            );
-            allLogs = results.flat().filter(Boolean);
-
-        } catch (err) {
-            console.warn('Manifest load failed, falling back to logs.json');
-            try {
-                const fb = await fetch('logs.json');
-                if (fb.ok) allLogs = await fb.json();
-            } catch (e) {
-                console.error('logs.json also failed:', e);
-            }
-        }
+    // The current year's shard renders first; older years and eras load in
+    // the background, or straight away when a view needs the full archive.
+    async function fetchInitialData() {
+        LogStore.subscribe(onShardsChanged);
+        await LogStore.init({ base: 'logs/' });
+        await LogStore.loadCurrent();
+        allLogs = LogStore.getLogs();
+    }
+
+    function ensureFullArchive() {
+        return LogStore.isComplete() ? Promise.resolve(allLogs) : LogStore.loadAll();
+    }
+
+    function scheduleBackgroundLoad() {
+        const idle = window.requestIdleCallback || (fn => setTimeout(fn, 1500));
+        idle(() => ensureFullArchive());
+    }
+
+    function onShardsChanged() {
+        LogStore.renderStatus(shardStatusEl);
+        // Every status change bumps the revision, including a shard failing
+        // without adding logs; a count would also miss a duplicate id
+        // switching to another shard's copy
+        if (LogStore.revision === shardRevision) return;
+        shardRevision = LogStore.revision;
+        allLogs = LogStore.getLogs();
+        if (!appReady) return;
+
+        renderHeroNewsCard();
+        renderNewsGrid();
+        renderDatabase();
+        const hash = window.location.hash;
+        if (hash.startsWith('#article/')) renderArticlePage(hash.replace('#article/', ''));
     }
 
     // =========================================================
     // ROUTING
     // =========================================================
+    let lastRoutedHash = null;
+
     function handleRouting() {
         const hash = window.location.hash || '#news';
+        if (hash === lastRoutedHash) return;
+        const previous = lastRoutedHash || '';
+        lastRoutedHash = hash;
+
         if (hash.startsWith('#article/')) {
-            renderArticlePage(hash.replace('#article/', ''));
+            const id = hash.replace('#article/', '');
+            if (!allLogs.some(l => l.id === id)) ensureFullArchive();
+            renderArticlePage(id);
             showView('article');
-        } else if (hash === '#ai-timeline') {
-            showView('ai-timeline');
-        } else if (hash === '#database') {
-            showView('database');
+        } else if (isTimelineRoute(hash)) {
+            if (modelCompare) modelCompare.set(parseTimelineRoute(hash));
+            // Comparison changes keep the scroll position
+            if (!isTimelineRoute(previous)) showView('ai-timeline');
+        } else if (isDatabaseRoute(hash)) {
+            ensureFullArchive();
+            dbFilters = parseDatabaseRoute(hash);
+            syncDbControls();
+            renderDatabase();
+            // Filter changes within the database keep the scroll position
+            if (!isDatabaseRoute(previous)) showView('database');
         } else {
             showView('news');
         }
@@ -261,15 +233,450 @@ document.addEventListener('DOMContentLoaded', () => {
             v.classList.toggle('active', match);
         });
         navTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === viewName));
+        // A list last measured while its view was hidden has a zero-height viewport
+        if (viewName === 'news' && feedList) feedList.refresh();
+        if (viewName === 'database') {
+            const dbList = dbFilters.viewMode === 'grid' ? dbGridList : dbTableList;
+            if (dbList) dbList.refresh();
+        }
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
+    // =========================================================
+    // AI TIMELINE ROUTE — #ai-timeline?compare=a,b
+    // =========================================================
+    function isTimelineRoute(hash) {
+        return hash === '#ai-timeline' || hash.startsWith('#ai-timeline?');
+    }
+
+    function parseTimelineRoute(hash) {
+        const params = new URLSearchParams(hash.split('?')[1] || '');
+        return window.ModelCompare ? ModelCompare.parseSelection(params.get('compare')) : [];
+    }
+
+    function buildTimelineRoute(ids) {
+        return ids.length ? `#ai-timeline?compare=${ids.map(encodeURIComponent).join(',')}` : '#ai-timeline';
+    }
+
+    // =========================================================
+    // DATABASE ROUTE — #database?q=…&shard=…&sort=…&view=…&cols=…&w=…&order=…
+    // =========================================================
+    const DB_DEFAULTS = { search: '', shard: 'all', sort: 'relevance', viewMode: 'table' };
+    const DB_SHARDS   = ['all', 'tech', 'space', 'climate', 'geopolitics'];
+    const DB_SORTS    = ['relevance', 'date-desc', 'date-asc'];
+    const DB_VIEWS    = ['table', 'grid'];
+
+    function isDatabaseRoute(hash) {
+        return hash === '#database' || hash.startsWith('#database?');
+    }
+
+    function parseDatabaseRoute(hash) {
+        const params = new URLSearchParams(hash.split('?')[1] || '');
+        const pick = (key, allowed, fallback) => allowed.includes(params.get(key)) ? params.get(key) : fallback;
+        // A shared link's layout wins over the one saved in this browser
+        const layout = params.has('cols') || params.has('w')
+            ? { columns: parseColumns(params.get('cols')), widths: parseWidths(params.get('w')) }
+            : loadDbLayout();
+        return {
+            search:   params.get('q') || DB_DEFAULTS.search,
+            shard:    pick('shard', DB_SHARDS, DB_DEFAULTS.shard),
+            sort:     pick('sort', DB_SORTS, DB_DEFAULTS.sort),
+            viewMode: pick('view', DB_VIEWS, DB_DEFAULTS.viewMode),
+            columns:  layout.columns,
+            widths:   layout.widths,
+            order:    parseOrder(params.get('order'), layout.columns)
+        };
+    }
+
+    function buildDatabaseRoute(filters) {
+        const params = new URLSearchParams();
+        if (filters.search)                          params.set('q', filters.search);
+        if (filters.shard !== DB_DEFAULTS.shard)     params.set('shard', filters.shard);
+        if (filters.sort !== DB_DEFAULTS.sort)       params.set('sort', filters.sort);
+        if (filters.viewMode !== DB_DEFAULTS.viewMode) params.set('view', filters.viewMode);
+        if (filters.columns.join(',') !== DB_DEFAULT_COLUMNS.join(',')) params.set('cols', filters.columns.join(','));
+        if (formatWidths(filters.widths))            params.set('w', formatWidths(filters.widths));
+        if (filters.order.length)                    params.set('order', formatOrder(filters.order));
+        // Commas and colons are fine in a fragment and keep the link readable
+        const qs = params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+        return qs ? `#database?${qs}` : '#database';
+    }
+
+    // Searching waits for a pause in typing. One history entry per burst of
+    // typing; searches within it replace that entry.
+    const SEARCH_DEBOUNCE_MS = 150;
+    let searchTimer = null;
+    let searchBurstTimer = null;
+
+    function scheduleSearch() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(flushSearch, SEARCH_DEBOUNCE_MS);
+    }
+
+    function flushSearch() {
+        if (searchTimer === null) return;
+        clearTimeout(searchTimer);
+        searchTimer = null;
+        const value = dbSearchInput.value.trim();
+        if (value === dbFilters.search) return;
+        dbFilters.search = value;
+        commitDbFilters(searchBurstTimer ? 'replace' : 'push');
+        clearTimeout(searchBurstTimer);
+        searchBurstTimer = setTimeout(() => { searchBurstTimer = null; }, 1000);
+    }
+
+    /**
+     * Write dbFilters to the URL and re-render. mode 'push' adds a history
+     * entry, 'replace' updates the current one (used while typing).
+     */
+    function commitDbFilters(mode) {
+        // Typing still waiting for its debounce goes out with this change
+        if (searchTimer !== null) {
+            clearTimeout(searchTimer);
+            searchTimer = null;
+            if (dbSearchInput) dbFilters.search = dbSearchInput.value.trim();
+        }
+        const hash = buildDatabaseRoute(dbFilters);
+        if (hash !== window.location.hash) {
+            history[mode === 'replace' ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+        lastRoutedHash = hash;
+        syncDbControls();
+        renderDatabase();
+    }
+
+    function syncDbControls() {
+        if (dbSearchInput && dbSearchInput.value.trim() !== dbFilters.search) dbSearchInput.value = dbFilters.search;
+        if (dbSortSelect) {
+            // Sorting by column headers shows up as its own entry in the select
+            const byColumns = dbSortSelect.querySelector('option[value="columns"]');
+            if (dbFilters.order.length && !byColumns) dbSortSelect.add(new Option('Column headers', 'columns'));
+            if (!dbFilters.order.length && byColumns) byColumns.remove();
+            dbSortSelect.value = dbFilters.order.length ? 'columns' : dbFilters.sort;
+        }
+        dbFilterBtns.forEach(b => b.classList.toggle('active', b.dataset.shard === dbFilters.shard));
+        dbViewBtns.forEach(b => b.classList.toggle('active', b.dataset.mode === dbFilters.viewMode));
+    }
+
+    // =========================================================
+    // DATABASE COLUMNS — picker, header sorting, resizable widths
+    // =========================================================
+    // Which columns are shown and their widths are saved per browser and
+    // written to the URL (&cols=date,title,tags&w=title:420), so a shared
+    // link opens with the same layout. Header sorting is URL-only
+    // (&order=-importance,date: primary first, "-" = descending).
+    const DB_LAYOUT_KEY  = 'sim-log-db-layout';
+    const DB_ORDER_KEYS  = 2;     // primary + secondary
+    const DB_WIDTH_MIN   = 60;
+    const DB_WIDTH_MAX   = 900;
+    const DB_WIDTH_STEP  = 10;    // px per arrow key on a resize handle
+
+    // value() is what the column sorts by; blank values sort last either way.
+    // text() is the plain value for exports. desc: true = the first click
+    // sorts descending (newest, most important).
+    const DB_COLUMNS = [
+        { id: 'date', label: 'Date', width: 130, desc: true, cellClass: 'db-cell-mono',
+          value: log => LogDates.parse(log.date).start,
+          text:  log => log.date,
+          cell: log => Safe.text(log.date || '') },
+        { id: 'title', label: 'Title', width: 380, required: true,
+          value: log => log.title,
+          text:  log => log.title,
+          cell: (log, query) => `<a href="#article/${Safe.attr(log.id)}" class="db-row-title">${LogSearch.highlight(log.title, query)}</a>` +
+              (dbFilters.columns.includes('importance') ? '' : ` ${importanceBadge(log)}`) },
+        { id: 'type', label: 'Type', width: 150,
+          value: log => log.type || 'News',
+          text:  log => log.type || 'News',
+          cell: log => `<span class="type-pill ${getTypeClass(log.type)}">${Safe.text(log.type || 'News')}</span>` },
+        { id: 'region', label: 'Region', width: 140,
+          value: log => log.region || 'Global',
+          text:  log => log.region || 'Global',
+          cell: log => Safe.text(log.region || 'Global') },
+        { id: 'wiki', label: 'Source', width: 120,
+          text:  log => Safe.url(log.wiki_url),
+          cell: log => {
+              const wikiURL = Safe.url(log.wiki_url);
+              return wikiURL ? `<a href="${Safe.attr(wikiURL)}" target="_blank" rel="noopener">Wikipedia &rarr;</a>` : '<span style="color:var(--text-xmuted)">—</span>';
+          } },
+        { id: 'importance', label: 'Importance', width: 120, desc: true,
+          value: log => IMPORTANCE_RANK[getImportance(log)],
+          text:  getImportance,
+          cell: importanceBadge },
+        { id: 'version', label: 'Version', width: 110, cellClass: 'db-cell-mono',
+          value: log => log.version,
+          text:  log => log.version,
+          cell: log => Safe.text(log.version || '') },
+        { id: 'tags', label: 'Tags', width: 200,
+          value: log => (log.tags || []).join(', '),
+          text:  log => (log.tags || []).join(', '),
+          cell: log => (log.tags || []).map(t => `<a href="${Safe.attr(Articles.tagURL(t))}" class="tag-item">#${Safe.text(t)}</a>`).join(' ') },
+        { id: 'submitted_by', label: 'Submitted by', width: 140,
+          value: log => log.submitted_by,
+          text:  log => log.submitted_by,
+          cell: log => Safe.text(log.submitted_by || '') },
+        { id: 'id', label: 'ID', width: 200, cellClass: 'db-cell-mono',
+          value: log => log.id,
+          text:  log => log.id,
+          cell: log => Safe.text(log.id) },
+    ];
+    const DB_COLUMN_BY_ID    = new Map(DB_COLUMNS.map(c => [c.id, c]));
+    const DB_DEFAULT_COLUMNS = ['date', 'title', 'type', 'region', 'wiki'];
+
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    // "date,title,tags" -> ids in table order; Title is always shown
+    function parseColumns(str) {
+        if (!str) return DB_DEFAULT_COLUMNS.slice();
+        const wanted = new Set(str.split(','));
+        return DB_COLUMNS.filter(c => c.required || wanted.has(c.id)).map(c => c.id);
+    }
+
+    // "title:420,date:120" -> { title: 420, date: 120 }
+    function parseWidths(str) {
+        const widths = {};
+        (str || '').split(',').forEach(pair => {
+            const [id, px] = pair.split(':');
+            const width = parseInt(px, 10);
+            if (DB_COLUMN_BY_ID.has(id) && width >= DB_WIDTH_MIN && width <= DB_WIDTH_MAX) widths[id] = width;
+        });
+        return widths;
+    }
+
+    function formatWidths(widths) {
+        return DB_COLUMNS.filter(c => widths[c.id]).map(c => `${c.id}:${widths[c.id]}`).join(',');
+    }
+
+    // "-importance,date" -> [{ col: 'importance', desc: true }, { col: 'date', desc: false }],
+    // keeping only sortable columns that are shown
+    function parseOrder(str, columns) {
+        const order = [];
+        (str || '').split(',').forEach(part => {
+            const desc = part.startsWith('-');
+            const col = DB_COLUMN_BY_ID.get(desc ? part.slice(1) : part);
+            if (col && col.value && columns.includes(col.id) && !order.some(k => k.col === col.id)) order.push({ col: col.id, desc });
+        });
+        return order.slice(0, DB_ORDER_KEYS);
+    }
+
+    function formatOrder(order) {
+        return order.map(k => (k.desc ? '-' : '') + k.col).join(',');
+    }
+
+    function loadDbLayout() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(DB_LAYOUT_KEY)) || {};
+        } catch (e) { /* unreadable: fall back to the defaults */ }
+        return { columns: parseColumns(saved.cols), widths: parseWidths(saved.w) };
+    }
+
+    function saveDbLayout() {
+        localStorage.setItem(DB_LAYOUT_KEY, JSON.stringify({
+            cols: dbFilters.columns.join(','),
+            w:    formatWidths(dbFilters.widths)
+        }));
+    }
+
+    const columnWidth = id => dbFilters.widths[id] || DB_COLUMN_BY_ID.get(id).width;
+
+    function sortByColumns(logs, order) {
+        const keys = order.map(k => ({ value: DB_COLUMN_BY_ID.get(k.col).value, sign: k.desc ? -1 : 1 }));
+        const blank = v => v === null || v === undefined || v === '';
+        return logs
+            .map(log => ({ log, values: keys.map(k => k.value(log)) }))
+            .sort((a, b) => {
+                for (let i = 0; i < keys.length; i++) {
+                    const va = a.values[i], vb = b.values[i];
+                    if (blank(va) || blank(vb)) {
+                        if (blank(va) !== blank(vb)) return blank(va) ? 1 : -1;
+                        continue;
+                    }
+                    const diff = typeof va === 'number' && typeof vb === 'number' ? va - vb : collator.compare(String(va), String(vb));
+                    if (diff) return keys[i].sign * diff;
+                }
+                return 0;
+            })
+            .map(entry => entry.log);
+    }
+
+    // Clicking the primary column flips it; any other column becomes the
+    // primary and the previous primary stays on as the secondary sort.
+    function sortByHeader(id) {
+        const [primary] = dbFilters.order;
+        if (primary && primary.col === id) {
+            dbFilters.order = [{ col: id, desc: !primary.desc }, ...dbFilters.order.slice(1)];
+        } else {
+            dbFilters.order = [{ col: id, desc: Boolean(DB_COLUMN_BY_ID.get(id).desc) }, ...dbFilters.order.filter(k => k.col !== id)]
+                .slice(0, DB_ORDER_KEYS);
+        }
+        commitDbFilters('push');
+    }
+
+    function toggleColumn(id, on) {
+        const shown = new Set(dbFilters.columns);
+        if (on) shown.add(id); else shown.delete(id);
+        dbFilters.columns = parseColumns([...shown].join(','));
+        // Never sort by a column that is no longer on screen
+        dbFilters.order = dbFilters.order.filter(k => dbFilters.columns.includes(k.col));
+        saveDbLayout();
+        commitDbFilters('replace');
+    }
+
+    function resetDbLayout() {
+        dbFilters.columns = DB_DEFAULT_COLUMNS.slice();
+        dbFilters.widths = {};
+        dbFilters.order = dbFilters.order.filter(k => dbFilters.columns.includes(k.col));
+        localStorage.removeItem(DB_LAYOUT_KEY);
+        commitDbFilters('replace');
+    }
+
+    // Live while dragging; the URL and saved layout follow on release
+    function setColumnWidth(id, px) {
+        const width = Math.round(Math.min(DB_WIDTH_MAX, Math.max(DB_WIDTH_MIN, px)));
+        if (width === DB_COLUMN_BY_ID.get(id).width) delete dbFilters.widths[id];
+        else dbFilters.widths[id] = width;
+        applyColumnWidths();
+    }
+
+    function commitColumnWidths() {
+        saveDbLayout();
+        commitDbFilters('replace');
+    }
+
+    function applyColumnWidths() {
+        const table = databaseTableBody.closest('table');
+        if (!table) return;
+        table.querySelectorAll('col[data-col]').forEach(col => { col.style.width = `${columnWidth(col.dataset.col)}px`; });
+        table.querySelectorAll('.db-col-resize').forEach(handle => handle.setAttribute('aria-valuenow', columnWidth(handle.dataset.col)));
+        table.style.width = `${dbFilters.columns.reduce((sum, id) => sum + columnWidth(id), 0)}px`;
+    }
+
+    function ensureColumnPicker() {
+        if (dbColumnPicker || !dbTableWrapper) return;
+        dbColumnPicker = document.createElement('details');
+        dbColumnPicker.className = 'db-columns';
+        dbColumnPicker.innerHTML = `
+            <summary class="db-columns-toggle">Columns</summary>
+            <div class="db-columns-menu" role="group" aria-label="Columns shown">
+                ${DB_COLUMNS.map(c => `<label class="db-columns-option"><input type="checkbox" data-col="${c.id}"${c.required ? ' disabled' : ''}> ${Safe.text(c.label)}</label>`).join('')}
+                <button type="button" class="db-columns-reset" data-reset-layout>Reset columns</button>
+            </div>`;
+        dbTableWrapper.parentNode.insertBefore(dbColumnPicker, dbTableWrapper);
+
+        dbColumnPicker.querySelectorAll('input[data-col]').forEach(box => {
+            box.addEventListener('change', () => toggleColumn(box.dataset.col, box.checked));
+        });
+        dbColumnPicker.querySelector('[data-reset-layout]').addEventListener('click', resetDbLayout);
+    }
+
+    // <colgroup> + <thead> for the current columns; rebuilt only when the
+    // columns or the sort change, widths are applied in place.
+    let dbHeadKey = null;
+
+    function renderDatabaseHead() {
+        const table = databaseTableBody.closest('table');
+        if (!table) return;
+        ensureColumnPicker();
+        if (dbColumnPicker) {
+            dbColumnPicker.querySelectorAll('input[data-col]').forEach(box => { box.checked = dbFilters.columns.includes(box.dataset.col); });
+        }
+
+        const key = `${dbFilters.columns.join(',')}|${formatOrder(dbFilters.order)}`;
+        if (key !== dbHeadKey) {
+            dbHeadKey = key;
+            const focused = document.activeElement && table.tHead && table.tHead.contains(document.activeElement)
+                ? { col: document.activeElement.closest('th').dataset.col, resize: document.activeElement.classList.contains('db-col-resize') }
+                : null;
+
+            let colgroup = table.querySelector('colgroup');
+            if (!colgroup) colgroup = table.insertBefore(document.createElement('colgroup'), table.firstChild);
+            colgroup.innerHTML = dbFilters.columns.map(id => `<col data-col="${id}">`).join('');
+
+            const thead = table.tHead || table.createTHead();
+            thead.innerHTML = `<tr>${dbFilters.columns.map(headerCell).join('')}</tr>`;
+            if (!thead.dataset.bound) bindDatabaseHead(thead);
+            table.classList.add('db-table-columns');
+
+            if (focused) {
+                const th = thead.querySelector(`th[data-col="${focused.col}"]`);
+                const target = th && th.querySelector(focused.resize ? '.db-col-resize' : '.db-sort-btn');
+                if (target) target.focus();
+            }
+        }
+        applyColumnWidths();
+    }
+
+    function headerCell(id) {
+        const col = DB_COLUMN_BY_ID.get(id);
+        const rank = dbFilters.order.findIndex(k => k.col === id);
+        const key = dbFilters.order[rank];
+        const dir = key ? (key.desc ? 'descending' : 'ascending') : null;
+        const label = Safe.text(col.label);
+        const sort = col.value
+            ? `<button type="button" class="db-sort-btn" title="${rank === 1 ? `Secondary sort: ${dir}. ` : ''}Sort by ${label}">${label}${key
+                ? `<span class="db-sort-mark" aria-hidden="true">${key.desc ? '▼' : '▲'}${dbFilters.order.length > 1 ? rank + 1 : ''}</span>`
+                : ''}</button>`
+            : label;
+        return `<th scope="col" data-col="${id}"${rank === 0 ? ` aria-sort="${dir}"` : ''}>${sort}` +
+            `<span class="db-col-resize" data-col="${id}" role="separator" tabindex="0" aria-orientation="vertical" aria-label="Resize ${label} column"` +
+            ` aria-valuemin="${DB_WIDTH_MIN}" aria-valuemax="${DB_WIDTH_MAX}" aria-valuenow="${columnWidth(id)}"></span></th>`;
+    }
+
+    // One set of listeners on the <thead>; its rows are replaced on re-render
+    function bindDatabaseHead(thead) {
+        thead.dataset.bound = 'true';
+
+        thead.addEventListener('click', e => {
+            const btn = e.target.closest('.db-sort-btn');
+            if (btn) sortByHeader(btn.closest('th').dataset.col);
+        });
+
+        thead.addEventListener('pointerdown', e => {
+            const handle = e.target.closest('.db-col-resize');
+            if (!handle || e.button !== 0) return;
+            e.preventDefault();
+            const id = handle.dataset.col;
+            const startX = e.clientX;
+            const startWidth = columnWidth(id);
+            document.documentElement.classList.add('db-resizing');
+            const move = ev => setColumnWidth(id, startWidth + ev.clientX - startX);
+            const up = () => {
+                window.removeEventListener('pointermove', move);
+                window.removeEventListener('pointerup', up);
+                document.documentElement.classList.remove('db-resizing');
+                commitColumnWidths();
+            };
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', up);
+        });
+
+        // Double-click a handle for the default width again
+        thead.addEventListener('dblclick', e => {
+            const handle = e.target.closest('.db-col-resize');
+            if (!handle) return;
+            setColumnWidth(handle.dataset.col, DB_COLUMN_BY_ID.get(handle.dataset.col).width);
+            commitColumnWidths();
+        });
+
+        thead.addEventListener('keydown', e => {
+            const handle = e.target.closest('.db-col-resize');
+            if (!handle || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+            e.preventDefault();
+            const step = (e.shiftKey ? 5 : 1) * DB_WIDTH_STEP * (e.key === 'ArrowLeft' ? -1 : 1);
+            setColumnWidth(handle.dataset.col, columnWidth(handle.dataset.col) + step);
+            commitColumnWidths();
+        });
+    }
+
     // =========================================================
     // HERO SECTION
     // =========================================================
     function renderHeroNewsCard() {
         if (!heroNewsSection) return;
-        const lead = allLogs.find(l => l.is_active === true) || allLogs[0];
+        const visible = getVisibleLogs();
+        const lead = visible
+            .filter(l => l.is_active === true)
+            .sort((a, b) => IMPORTANCE_RANK[getImportance(b)] - IMPORTANCE_RANK[getImportance(a)])[0] || visible[0];
         if (!lead) { heroNewsSection.innerHTML = ''; return; }
 
         heroNewsSection.innerHTML = `
@@ -277,18 +684,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div class="hero-content">
                     <div class="hero-meta-row">
                         <span class="badge-featured">Featured Story</span>
-                        <span class="badge-category">${escapeHTML(lead.type || 'News')}</span>
-                        <span class="hero-date">${escapeHTML(lead.date || '')} &middot; ${escapeHTML(lead.region || 'Global')}</span>
+                        <span class="badge-category">${Safe.text(lead.type || 'News')}</span>
+                        <span class="hero-date">${Safe.text(lead.date || '')} &middot; ${Safe.text(lead.region || 'Global')}</span>
                     </div>
-                    <h2 class="hero-headline">${escapeHTML(lead.title)}</h2>
-                    ${lead.sys_subtitle ? `<div class="hero-sys-subtitle">${escapeHTML(lead.sys_subtitle)}</div>` : ''}
-                    <p class="hero-description">${escapeHTML(lead.description)}</p>
+                    <h2 class="hero-headline">${Safe.text(lead.title)}</h2>
+                    ${lead.sys_subtitle ? `<div class="hero-sys-subtitle">${Safe.text(lead.sys_subtitle)}</div>` : ''}
+                    <p class="hero-description">${Safe.text(lead.description)}</p>
                     <div class="hero-actions">
-                        <a href="#article/${lead.id}" class="btn-primary">Read Full Story &rarr;</a>
+                        <a href="#article/${Safe.attr(lead.id)}" class="btn-primary">Read Full Story &rarr;</a>
                     </div>
                 </div>
                 <div class="hero-image-placeholder" aria-hidden="true">
-                    <span class="hero-img-label">${escapeHTML(lead.type || 'News')}</span>
+                    <span class="hero-img-label">${Safe.text(lead.type || 'News')}</span>
                 </div>
             </div>`;
     }
@@ -298,33 +705,53 @@ document.addEventListener('DOMContentLoaded', () => {
     // =========================================================
     function renderNewsGrid() {
         if (!feedContainer) return;
-        const sorted = [...allLogs].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        const sorted = getVisibleLogs().sort(LogDates.compareLogs('desc'));
         logCountElement.textContent = `${sorted.length} stories`;
-        feedContainer.innerHTML = '';
-        sorted.forEach(log => feedContainer.appendChild(buildNewsCard(log)));
+        if (!feedList) feedList = VirtualList.create({
+            container: feedContainer,
+            renderItem: log => buildNewsCard(log),
+            keyOf: log => log.id,
+            spacer: gridSpacer,
+            estimate: 260,
+        });
+        feedList.setItems(sorted);
     }
 
-    function buildNewsCard(log) {
+    // Full-width filler row for windowed card grids
+    function gridSpacer() {
+        const el = document.createElement('div');
+        el.className = 'virtual-spacer';
+        return el;
+    }
+
+    // query (optional) highlights search matches in the title and text
+    function buildNewsCard(log, query) {
+        const mark = text => query ? LogSearch.highlight(text, query) : Safe.text(text);
+
         const card = document.createElement('div');
-        card.className = 'news-card';
+        card.className = `news-card importance-${getImportance(log)}`;
         card.setAttribute('role', 'article');
-        card.onclick = () => { window.location.hash = `#article/${log.id}`; };
+        card.onclick = e => {
+            if (e.target.closest('a')) return; // tag links open their topic page
+            window.location.hash = `#article/${log.id}`;
+        };
 
         const tagsHTML = (log.tags || []).slice(0, 3)
-            .map(t => `<span class="tag-item">#${escapeHTML(t)}</span>`).join('');
+            .map(t => `<a href="${Safe.attr(Articles.tagURL(t))}" class="tag-item">#${mark(t)}</a>`).join('');
 
         card.innerHTML = `
             <div class="card-image-strip"></div>
             <div class="card-body">
                 <div class="card-top-meta">
-                    <span class="type-pill ${getTypeClass(log.type)}">${escapeHTML(log.type || 'News')}</span>
-                    <span class="card-real-date">${escapeHTML(log.date || '')}</span>
+                    <span class="type-pill ${getTypeClass(log.type)}">${Safe.text(log.type || 'News')}</span>
+                    ${importanceBadge(log)}
+                    <span class="card-real-date">${Safe.text(log.date || '')}</span>
                 </div>
-                <h3 class="card-title">${escapeHTML(log.title)}</h3>
-                ${log.sys_subtitle ? `<div class="card-sys-subtitle">${escapeHTML(log.sys_subtitle)}</div>` : ''}
-                <p class="card-description">${escapeHTML(log.description)}</p>
+                <h3 class="card-title">${mark(log.title)}</h3>
+                ${log.sys_subtitle ? `<div class="card-sys-subtitle">${mark(log.sys_subtitle)}</div>` : ''}
+                <p class="card-description">${mark(log.description)}</p>
                 <div class="card-footer-meta">
-                    <span class="card-region">${escapeHTML(log.region || 'Global')}</span>
+                    <span class="card-region">${Safe.text(log.region || 'Global')}</span>
                     <div class="card-tags">${tagsHTML}</div>
                 </div>
             </div>`;
@@ -334,308 +761,241 @@ document.addEventListener('DOMContentLoaded', () => {
     // =========================================================
     // ARTICLE PAGE
     // =========================================================
+    // Logs may point at a long-form article in data/articles/<slug>.json
+    // through an optional `article` field; fetched once per slug.
+    const longFormCache = new Map();
+
+    function loadLongForm(slug) {
+        if (!longFormCache.has(slug)) {
+            const req = fetch(`data/articles/${encodeURIComponent(slug)}.json`)
+                .then(r => {
+                    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                    return r.json();
+                })
+                .catch(err => {
+                    longFormCache.delete(slug);
+                    throw err;
+                });
+            longFormCache.set(slug, req);
+        }
+        return longFormCache.get(slug);
+    }
+
+    // Same block types as build.py content_to_html, but escaped
+    function renderContentBlocks(blocks) {
+        return (blocks || []).map(block => {
+            const text = Safe.text(block.text || '');
+            switch (block.type || 'p') {
+                case 'h2':         return `<h2>${text}</h2>`;
+                case 'blockquote': return `<blockquote>${text}</blockquote>`;
+                case 'ul':         return `<ul>${(block.items || []).map(i => `<li>${Safe.text(i)}</li>`).join('')}</ul>`;
+                case 'p':          return `<p>${text}</p>`;
+                default:           return '';
+            }
+        }).join('');
+    }
+
     function renderArticlePage(articleId) {
         if (!articlePageContent) return;
-        const log = allLogs.find(l => l.id === articleId) || allLogs[0];
+        const log = allLogs.find(l => l.id === articleId);
+        // Wait until every shard has loaded or failed before calling it missing
+        if (!log && !LogStore.isSettled()) {
+            articlePageContent.innerHTML = `<div class="article-loading">Loading archive&hellip;</div>`;
+            return;
+        }
 
         if (!log) {
-            articlePageContent.innerHTML = `<div style="padding:4rem 0;text-align:center;">
-                <h2 style="margin-bottom:1rem;">Story Not Found</h2>
-                <a href="#news" class="btn-primary">Back to Latest News</a></div>`;
+            const failed = LogStore.failedShards();
+            articlePageContent.innerHTML = `
+                <div class="article-not-found">
+                    <div class="article-not-found-code">404</div>
+                    <h2>Log Not Found</h2>
+                    <p>No log with the id <code>${Safe.text(articleId)}</code> exists in the archive. It may have been renamed or removed.</p>
+                    ${failed.length ? `<p>${failed.length === 1 ? 'One archive shard' : `${failed.length} archive shards`} (${Safe.text(failed.map(f => f.label).join(', '))}) failed to load, so it may be in there.</p>` : ''}
+                    <div class="article-not-found-actions">
+                        <a href="#news" class="btn-primary">Back to Latest News</a>
+                        <a href="#database?q=${encodeURIComponent(articleId)}" class="btn-secondary">Search the Database</a>
+                        ${failed.length ? '<button type="button" class="btn-secondary" data-retry-shards>Retry loading</button>' : ''}
+                    </div>
+                </div>`;
+            const retry = articlePageContent.querySelector('[data-retry-shards]');
+            if (retry) retry.addEventListener('click', () => LogStore.retryFailed());
             return;
         }
 
+        const tagsHTML = (log.tags || []).map(t => `<a href="${Safe.attr(Articles.tagURL(t))}" class="tag-item">#${Safe.text(t)}</a>`).join('');
+        const isLongForm = Boolean(log.article);
+        const wikiURL = Safe.url(log.wiki_url);
+
         articlePageContent.innerHTML = `
             <a href="#news" class="back-to-news-link">&larr; Back to Latest News</a>
-            <div class="article-category-badge">${escapeHTML(log.type || 'News')}</div>
-            <h1 class="article-main-headline">${escapeHTML(log.title)}</h1>
-            ${log.sys_subtitle ? `<div class="article-lead-subtitle">${escapeHTML(log.sys_subtitle)}</div>` : ''}
+            <div class="article-category-badge">${Safe.text(log.type || 'News')}</div>
+            <h1 class="article-main-headline">${Safe.text(log.title)}</h1>
+            ${log.sys_subtitle ? `<div class="article-lead-subtitle">${Safe.text(log.sys_subtitle)}</div>` : ''}
             <div class="article-byline-card">
                 <div class="article-author-info">
-                    By&nbsp;<span class="article-author-name">${escapeHTML(log.submitted_by || 'Editorial Team')}</span>
-                    &nbsp;&middot;&nbsp;<span>${escapeHTML(log.region || 'Global')}</span>
+                    By&nbsp;<span class="article-author-name">${Safe.text(log.submitted_by || 'Editorial Team')}</span>
+                    &nbsp;&middot;&nbsp;<span>${Safe.text(log.region || 'Global')}</span>
                 </div>
-                <div>Published: ${escapeHTML(log.date || '')}</div>
+                <div>Published: ${Safe.text(log.date || '')}</div>
             </div>
+            ${isLongForm ? `
             <div class="article-key-highlights">
                 <div class="highlights-title">Key Highlights</div>
-                <div class="highlights-text">${escapeHTML(log.description)}</div>
+                <div class="highlights-text">${Safe.text(log.description)}</div>
             </div>
-            <div class="article-body-serif">
-                <p>${escapeHTML(log.description)}</p>
-                <p>Developments in ${escapeHTML((log.tags || []).join(', ') || 'technology')} continue to shape market strategies, scientific research directions, and infrastructure investments globally. Analysts and policy researchers emphasize monitoring long-term adoption metrics as this technology expands across sectors.</p>
-            </div>
-            ${log.wiki_url ? `<div class="article-source-box">
+            <div class="article-body-serif" id="article-long-form" aria-busy="true">
+                <p class="article-loading">Loading full article&hellip;</p>
+            </div>` : `
+            <div class="article-body-serif article-short-form">
+                <p>${Safe.text(log.description)}</p>
+            </div>`}
+            ${tagsHTML ? `<div class="article-tags">${tagsHTML}</div>` : ''}
+            ${wikiURL ? `<div class="article-source-box">
                 <span class="source-label">Primary Reference &amp; Historical Source:</span>
-                <a href="${escapeHTML(log.wiki_url)}" target="_blank" rel="noopener" class="btn-primary">View Wikipedia Reference &rarr;</a>
+                <a href="${Safe.attr(wikiURL)}" target="_blank" rel="noopener" class="btn-primary">View Wikipedia Reference &rarr;</a>
             </div>` : ''}`;
-    }
-
-    // =========================================================
-    // INTERACTIVE AI GRAPH — JS-built logarithmic SVG chart
-    // =========================================================
-    function buildAIGraph() {
-        const container = document.getElementById('ai-graph-container');
-        if (!container) return;
-        container.innerHTML = '';
 
-        // Floating HTML tooltip
-        const tooltip = document.createElement('div');
-        tooltip.className = 'graph-tooltip';
-        tooltip.style.display = 'none';
-        container.appendChild(tooltip);
-
-        const NS = 'http://www.w3.org/2000/svg';
-
-        // Layout constants
-        const W = 900, H = 320;
-        const PAD = { top: 25, right: 35, bottom: 62, left: 78 };
-        const CW = W - PAD.left - PAD.right;
-        const CH = H - PAD.top - PAD.bottom;
-
-        const X_MIN = 2018, X_MAX = 2028;
-        const LOG_MIN = 19, LOG_MAX = 29;
-
-        const xPos  = y  => PAD.left + (y - X_MIN) / (X_MAX - X_MIN) * CW;
-        const yPos  = fl => PAD.top  + CH - Math.max(0, Math.min(1, (Math.log10(fl) - LOG_MIN) / (LOG_MAX - LOG_MIN))) * CH;
-
-        // Create SVG
-        const svg = document.createElementNS(NS, 'svg');
-        svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
-        svg.style.width = '100%';
-        svg.style.height = 'auto';
-        svg.style.display = 'block';
-        svg.style.overflow = 'visible';
-
-        // === DEFS — Area gradient ===
-        const defs = document.createElementNS(NS, 'defs');
-
-        const makeGrad = (id, color, opacity0, opacity1) => {
-            const g = document.createElementNS(NS, 'linearGradient');
-            g.setAttribute('id', id);
-            g.setAttribute('x1', '0'); g.setAttribute('y1', '0');
-            g.setAttribute('x2', '0'); g.setAttribute('y2', '1');
-            [[`${opacity0}`, '0%'], [`${opacity1}`, '100%']].forEach(([op, off]) => {
-                const s = document.createElementNS(NS, 'stop');
-                s.setAttribute('offset', off);
-                s.setAttribute('stop-color', color);
-                s.setAttribute('stop-opacity', op);
-                g.appendChild(s);
-            });
-            return g;
-        };
-        defs.appendChild(makeGrad('chartAreaGrad', '#1d4ed8', '0.12', '0.01'));
-        svg.appendChild(defs);
-
-        // === Y-AXIS GRID LINES & LABELS ===
-        const yDecades = [20, 21, 22, 23, 24, 25, 26, 27, 28];
-        const yLabels  = ['10²⁰', '10²¹', '10²²', '10²³', '10²⁴', '10²⁵', '10²⁶', '10²⁷', '10²⁸'];
-
-        yDecades.forEach((dec, i) => {
-            if (dec < LOG_MIN || dec > LOG_MAX) return;
-            const y = PAD.top + CH - (dec - LOG_MIN) / (LOG_MAX - LOG_MIN) * CH;
-
-            const gl = document.createElementNS(NS, 'line');
-            gl.setAttribute('x1', PAD.left); gl.setAttribute('y1', y);
-            gl.setAttribute('x2', PAD.left + CW); gl.setAttribute('y2', y);
-            gl.setAttribute('stroke', 'currentColor');
-            gl.setAttribute('stroke-width', '1');
-            gl.setAttribute('class', 'svg-grid-line');
-            svg.appendChild(gl);
-
-            const lbl = document.createElementNS(NS, 'text');
-            lbl.setAttribute('x', PAD.left - 8);
-            lbl.setAttribute('y', y + 4);
-            lbl.setAttribute('text-anchor', 'end');
-            lbl.setAttribute('class', 'svg-label axis-left');
-            lbl.textContent = yLabels[i];
-            svg.appendChild(lbl);
-        });
+        const pager = buildArchivePager(log);
+        if (pager) articlePageContent.appendChild(pager);
+        const related = relatedLogs(log);
+        if (related.length) articlePageContent.appendChild(buildRelatedSection(related));
 
-        // Y-axis title
-        const yTitle = document.createElementNS(NS, 'text');
-        yTitle.setAttribute('transform', `rotate(-90)`);
-        yTitle.setAttribute('x', -(PAD.top + CH / 2));
-        yTitle.setAttribute('y', 14);
-        yTitle.setAttribute('text-anchor', 'middle');
-        yTitle.setAttribute('class', 'svg-label');
-        yTitle.textContent = 'Training Compute (FLOPs)';
-        svg.appendChild(yTitle);
-
-        // === X-AXIS LABELS ===
-        [2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2027].forEach(yr => {
-            const x = xPos(yr);
-
-            const tick = document.createElementNS(NS, 'line');
-            tick.setAttribute('x1', x); tick.setAttribute('y1', PAD.top + CH);
-            tick.setAttribute('x2', x); tick.setAttribute('y2', PAD.top + CH + 5);
-            tick.setAttribute('stroke', 'currentColor'); tick.setAttribute('class', 'svg-grid-line');
-            svg.appendChild(tick);
-
-            const lbl = document.createElementNS(NS, 'text');
-            lbl.setAttribute('x', x);
-            lbl.setAttribute('y', PAD.top + CH + 18);
-            lbl.setAttribute('text-anchor', 'middle');
-            lbl.setAttribute('class', 'svg-label axis-bot');
-            lbl.textContent = yr;
-            svg.appendChild(lbl);
-        });
+        if (isLongForm) fillLongForm(log);
+    }
 
-        // === AXES ===
-        const drawLine = (x1, y1, x2, y2, cls) => {
-            const l = document.createElementNS(NS, 'line');
-            l.setAttribute('x1', x1); l.setAttribute('y1', y1);
-            l.setAttribute('x2', x2); l.setAttribute('y2', y2);
-            l.setAttribute('class', cls);
-            svg.appendChild(l);
+    function fillLongForm(log) {
+        // The reader may have opened another article before the fetch settled
+        const target = () => {
+            const body = document.getElementById('article-long-form');
+            return body && window.location.hash === `#article/${log.id}` ? body : null;
         };
-        drawLine(PAD.left, PAD.top, PAD.left, PAD.top + CH, 'svg-grid-line');
-        drawLine(PAD.left, PAD.top + CH, PAD.left + CW, PAD.top + CH, 'svg-grid-line');
-
-        // === AREA FILL (real data only) ===
-        const realPts = graphPoints.filter(p => p.real);
-        let areaD = `M ${xPos(realPts[0].year)} ${PAD.top + CH} L ${xPos(realPts[0].year)} ${yPos(realPts[0].compute)}`;
-        realPts.forEach((p, i) => { if (i > 0) areaD += ` L ${xPos(p.year)} ${yPos(p.compute)}`; });
-        areaD += ` L ${xPos(realPts[realPts.length - 1].year)} ${PAD.top + CH} Z`;
-
-        const area = document.createElementNS(NS, 'path');
-        area.setAttribute('d', areaD);
-        area.setAttribute('fill', 'url(#chartAreaGrad)');
-        svg.appendChild(area);
-
-        // === MAIN CONFIRMED LINE (animated draw) ===
-        let lineD = '';
-        realPts.forEach((p, i) => { lineD += `${i === 0 ? 'M' : 'L'} ${xPos(p.year)} ${yPos(p.compute)} `; });
-
-        const mainPath = document.createElementNS(NS, 'path');
-        mainPath.setAttribute('d', lineD);
-        mainPath.setAttribute('fill', 'none');
-        mainPath.setAttribute('stroke', 'var(--accent-primary)');
-        mainPath.setAttribute('stroke-width', '2.5');
-        mainPath.setAttribute('stroke-linecap', 'round');
-        mainPath.setAttribute('stroke-linejoin', 'round');
-        svg.appendChild(mainPath);
-
-        // Animate line draw
-        requestAnimationFrame(() => {
-            try {
-                const len = mainPath.getTotalLength();
-                mainPath.style.strokeDasharray = len;
-                mainPath.style.strokeDashoffset = len;
-                mainPath.style.transition = 'stroke-dashoffset 2s cubic-bezier(0.4, 0, 0.2, 1)';
-                requestAnimationFrame(() => { mainPath.style.strokeDashoffset = '0'; });
-            } catch (e) {}
-        });
-
-        // === PROJECTED DASHED LINE ===
-        const lastReal = realPts[realPts.length - 1];
-        const projPt   = graphPoints.find(p => !p.real);
-        if (projPt) {
-            const projPath = document.createElementNS(NS, 'path');
-            projPath.setAttribute('d', `M ${xPos(lastReal.year)} ${yPos(lastReal.compute)} L ${xPos(projPt.year)} ${yPos(projPt.compute)}`);
-            projPath.setAttribute('fill', 'none');
-            projPath.setAttribute('stroke', 'var(--accent-amber)');
-            projPath.setAttribute('stroke-width', '2');
-            projPath.setAttribute('stroke-dasharray', '7 4');
-            projPath.setAttribute('stroke-linecap', 'round');
-            projPath.style.opacity = '0.7';
-            svg.appendChild(projPath);
-        }
-
-        // === NODES ===
-        graphPoints.forEach((p, pointIdx) => {
-            const x = xPos(p.year);
-            const y = yPos(p.compute);
-            const isKey    = p.modelIdx !== null;
-            const isFuture = !p.real;
-
-            // Halo ring for key model nodes
-            if (isKey) {
-                const ring = document.createElementNS(NS, 'circle');
-                ring.setAttribute('cx', x); ring.setAttribute('cy', y);
-                ring.setAttribute('r', isFuture ? '11' : '13');
-                ring.setAttribute('fill', isFuture ? 'var(--accent-amber)' : 'var(--accent-primary)');
-                ring.setAttribute('fill-opacity', '0.08');
-                ring.style.pointerEvents = 'none';
-                svg.appendChild(ring);
-            }
+        loadLongForm(log.article)
+            .then(article => {
+                const body = target();
+                if (!body) return;
+                body.removeAttribute('aria-busy');
+                body.innerHTML = renderContentBlocks(article.content) || `<p>${Safe.text(log.description)}</p>`;
+                body.insertAdjacentHTML('beforeend', `<p class="article-long-form-source">Also published as: <a href="/posts/${encodeURIComponent(article.slug || log.article)}/">${Safe.text(article.title || log.title)}</a></p>`);
+            })
+            .catch(err => {
+                console.warn(`Long-form article "${log.article}" failed to load:`, err);
+                const body = target();
+                if (!body) return;
+                body.removeAttribute('aria-busy');
+                body.classList.add('article-short-form');
+                body.innerHTML = `<p>${Safe.text(log.description)}</p>
+                    <p class="article-loading">The full article could not be loaded.</p>`;
+            });
+    }
 
-            // Main node circle
-            const circle = document.createElementNS(NS, 'circle');
-            circle.setAttribute('cx', x); circle.setAttribute('cy', y);
-            circle.setAttribute('r', isKey ? '6' : '4');
-            circle.setAttribute('class', isFuture ? 'svg-node future' : (isKey ? 'svg-node key' : 'svg-node'));
-            svg.appendChild(circle);
-
-            // Small label above key nodes
-            if (isKey) {
-                const shortLabel = p.label.split('/')[0].trim();
-                const txtLabel = document.createElementNS(NS, 'text');
-                txtLabel.setAttribute('x', x);
-                txtLabel.setAttribute('y', y - 12);
-                txtLabel.setAttribute('text-anchor', 'middle');
-                txtLabel.setAttribute('class', 'svg-label key-label');
-                txtLabel.textContent = shortLabel;
-                svg.appendChild(txtLabel);
-            }
+    // =========================================================
+    // RELATED LOGS & ARCHIVE NAVIGATION
+    // =========================================================
+    const RELATED_LIMIT = 4;
 
-            // Hover / click events
-            const interactRadius = isKey ? 14 : 9;
-            const hitArea = document.createElementNS(NS, 'circle');
-            hitArea.setAttribute('cx', x); hitArea.setAttribute('cy', y);
-            hitArea.setAttribute('r', interactRadius);
-            hitArea.setAttribute('fill', 'transparent');
-            hitArea.style.cursor = isKey ? 'pointer' : 'crosshair';
-            svg.appendChild(hitArea);
-
-            hitArea.addEventListener('mouseenter', () => {
-                circle.setAttribute('r', isKey ? '8' : '5.5');
-                showGraphTooltip(p, x, y, container, tooltip, svg);
-            });
+    const lowerSet = list => new Set((list || []).map(t => String(t).toLowerCase()));
 
-            hitArea.addEventListener('mouseleave', () => {
-                circle.setAttribute('r', isKey ? '6' : '4');
-                tooltip.style.display = 'none';
-            });
+    // Years between two logs, or null when either has no fixed date
+    function yearGap(a, b) {
+        const da = LogDates.parse(a.date), db = LogDates.parse(b.date);
+        if (da.start === null || db.start === null) return null;
+        return Math.abs((da.start + da.end) / 2 - (db.start + db.end) / 2);
+    }
 
-            hitArea.addEventListener('mousemove', (e) => {
-                positionGraphTooltip(e, container, tooltip);
-            });
+    // Shared tags 3, shared keywords 2, same specific region 1, plus up to 2
+    // for closeness in time (log scale, so "same decade" still counts in deep time).
+    // Only logs with something in common besides the date are kept.
+    function relatedLogs(log) {
+        const tags = lowerSet(log.tags);
+        const keywords = lowerSet(log.keywords);
+        const region = String(log.region || '').toLowerCase();
+        const specificRegion = region && !region.startsWith('global');
+
+        return getVisibleLogs()
+            .filter(other => other.id !== log.id)
+            .map(other => {
+                let score = 0;
+                lowerSet(other.tags).forEach(t => { if (tags.has(t)) score += 3; });
+                lowerSet(other.keywords).forEach(k => { if (keywords.has(k)) score += 2; });
+                if (specificRegion && String(other.region || '').toLowerCase() === region) score += 1;
+                if (score === 0) return null;
+                const gap = yearGap(log, other);
+                if (gap !== null) score += Math.max(0, 2 - Math.log10(1 + gap) / 2);
+                return { log: other, score };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || LogDates.compareLogs('desc')(a.log, b.log))
+            .slice(0, RELATED_LIMIT)
+            .map(r => r.log);
+    }
 
-            if (isKey) {
-                hitArea.addEventListener('click', () => {
-                    const card = document.getElementById(`tl-card-${p.modelIdx}`);
-                    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                });
-            }
-        });
+    function buildRelatedSection(logs) {
+        const section = document.createElement('section');
+        section.className = 'related-section';
+        section.setAttribute('aria-labelledby', 'related-logs-title');
+        section.innerHTML = '<h2 class="related-title" id="related-logs-title">Related Logs</h2>';
+        const grid = document.createElement('div');
+        grid.className = 'related-grid related-logs-grid';
+        logs.forEach(l => grid.appendChild(buildNewsCard(l)));
+        section.appendChild(grid);
+        return section;
+    }
 
-        container.appendChild(svg);
+    // Older / newer neighbours in the chronological archive (loaded shards
+    // only). null for undated logs, which have no place in it.
+    function buildArchivePager(log) {
+        if (LogDates.parse(log.date).start === null) return null;
+        const timeline = allLogs
+            .filter(l => l.id === log.id || (isLogVisible(l) && LogDates.parse(l.date).start !== null))
+            .sort(LogDates.compareLogs('asc'));
+        const at = timeline.findIndex(l => l.id === log.id);
+        const older = at > 0 ? timeline[at - 1] : null;
+        const newer = at < timeline.length - 1 ? timeline[at + 1] : null;
+
+        const link = (target, rel, label) => target
+            ? `<a href="#article/${Safe.attr(target.id)}" class="log-pager-link log-pager-${rel}" rel="${rel}">
+                <span class="log-pager-dir">${label}</span>
+                <span class="log-pager-title">${Safe.text(target.title)}</span>
+                <span class="log-pager-date">${Safe.text(target.date)}</span>
+            </a>`
+            : '<span class="log-pager-link log-pager-empty"></span>';
+
+        const nav = document.createElement('nav');
+        nav.className = 'log-pager';
+        nav.setAttribute('aria-label', 'Previous and next in time');
+        nav.innerHTML = link(older, 'prev', '&larr; Previous in time') + link(newer, 'next', 'Next in time &rarr;');
+        return nav;
     }
 
-    function showGraphTooltip(point, svgX, svgY, container, tooltip) {
-        const logVal = Math.log10(point.compute);
-        const isProjected = !point.real;
+    // =========================================================
+    // INTERACTIVE AI GRAPH — compute chart with fitted trend (js/compute-chart.js)
+    // =========================================================
+    function buildAIGraph() {
+        const container = document.getElementById('ai-graph-container');
+        if (!container || !window.ComputeChart) return;
 
-        tooltip.innerHTML = `
-            <div class="gt-model">${escapeHTML(point.label)}</div>
-            <div class="gt-company">${Math.floor(point.year)}</div>
-            <div class="gt-row"><span>Compute</span><strong>~10<sup>${logVal.toFixed(1)}</sup> FLOPs</strong></div>
-            ${isProjected ? '<div class="gt-proj">Projected</div>' : ''}
-            ${point.modelIdx !== null ? '<div style="font-size:0.7rem;margin-top:0.4rem;opacity:0.6;">Click to view model card</div>' : ''}
-        `;
-        tooltip.style.display = 'block';
+        aiGraph = ComputeChart.mount(container, aiData, {
+            onSelectModel: id => {
+                const card = document.getElementById(`tl-card-${id}`);
+                if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
     }
 
-    function positionGraphTooltip(e, container, tooltip) {
-        const rect = container.getBoundingClientRect();
-        let x = e.clientX - rect.left + 14;
-        let y = e.clientY - rect.top  - 50;
-        const tw = tooltip.offsetWidth || 180;
-        if (x + tw > rect.width - 8) x = e.clientX - rect.left - tw - 14;
-        if (y < 4) y = e.clientY - rect.top + 16;
-        tooltip.style.left = x + 'px';
-        tooltip.style.top  = y + 'px';
+    // Lab / type / projection filter bar above the graph (js/ai-filters.js)
+    function buildAIFilters() {
+        const container = document.getElementById('ai-graph-container');
+        if (!container || !window.AIFilters || aiFilters) return;
+
+        aiFilters = AIFilters.create({
+            data: aiData,
+            before: container,
+            onChange: filters => {
+                if (aiGraph) aiGraph.setFilter({ match: filters.active ? filters.matchPoint : null, hideProjected: filters.hideProjected });
+                renderAITimeline();
+            }
+        });
     }
 
     // =========================================================
@@ -646,107 +1006,151 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!container) return;
         container.innerHTML = '';
 
-        aiTimelineData.forEach((item, idx) => {
-            const isFuture = !item.real;
-
-            const wrapper = document.createElement('div');
-            wrapper.className = `tl-item${isFuture ? ' future' : ''}`;
-
-            // Dot on the line
-            const dot = document.createElement('div');
-            dot.className = 'tl-dot';
-            wrapper.appendChild(dot);
-
-            // Card
-            const card = document.createElement('div');
-            card.className = 'tl-card';
-            card.id = `tl-card-${idx}`;
+        if (!modelCompare && window.ModelCompare) modelCompare = ModelCompare.create({
+            data: aiData,
+            before: container,
+            selection: isTimelineRoute(window.location.hash) ? parseTimelineRoute(window.location.hash) : [],
+            onChange: ids => {
+                const hash = buildTimelineRoute(ids);
+                history.replaceState(null, '', hash);
+                lastRoutedHash = hash;
+            }
+        });
 
-            const badgesHTML = `
-                <div class="tl-badges">
-                    ${isFuture ? '<span class="tl-future-badge">Projected</span>' : ''}
-                    <span class="tl-type-badge">${escapeHTML(item.type)}</span>
-                    <span class="tl-company" style="color:${item.company_color};">${escapeHTML(item.company)}</span>
-                </div>`;
+        // Entries rejected by the dataset validator are listed, not silently dropped
+        if (aiData.errors.length) {
+            const errorBox = document.createElement('div');
+            AIModels.renderErrors(errorBox, aiData.errors);
+            container.appendChild(errorBox);
+        }
 
-            card.innerHTML = `
-                <div class="tl-header">
-                    <span class="tl-year-badge">${escapeHTML(item.release_date)}</span>
-                    ${badgesHTML}
-                </div>
+        const groups = aiFilters ? aiFilters.groups(aiData.models) : [{ label: null, models: aiData.models }];
+        if (aiData.models.length && !groups.some(g => g.models.length)) {
+            container.insertAdjacentHTML('beforeend', '<div class="empty-state">No models match these filters.</div>');
+            return;
+        }
 
-                <div class="tl-model-name">${escapeHTML(item.model)}</div>
-                <div class="tl-model-sub">${escapeHTML(item.subtitle)}</div>
+        groups.forEach(group => {
+            if (group.label) {
+                const head = document.createElement('div');
+                head.className = 'tl-group-head';
+                head.innerHTML = `${Safe.color(group.color) ? `<span class="legend-dot" style="background:${Safe.attr(Safe.color(group.color))};"></span>` : ''}${Safe.text(group.label)} <span class="tl-group-count">${group.models.length}</span>`;
+                container.appendChild(head);
+            }
 
-                <div class="tl-stats">
-                    <div class="tl-stat">
-                        <span class="tl-stat-label">Parameters</span>
-                        <span class="tl-stat-value">${escapeHTML(item.params)}</span>
-                    </div>
-                    <div class="tl-stat">
-                        <span class="tl-stat-label">Context</span>
-                        <span class="tl-stat-value">${escapeHTML(item.context)}</span>
+            group.models.forEach(item => {
+                const isFuture = !item.real;
+
+                const wrapper = document.createElement('div');
+                wrapper.className = `tl-item${isFuture ? ' future' : ''}`;
+
+                // Dot on the line
+                const dot = document.createElement('div');
+                dot.className = 'tl-dot';
+                wrapper.appendChild(dot);
+
+                // Card
+                const card = document.createElement('div');
+                card.className = 'tl-card';
+                card.id = `tl-card-${item.id}`;
+
+                const badgesHTML = `
+                    <div class="tl-badges">
+                        ${isFuture ? '<span class="tl-future-badge">Projected</span>' : ''}
+                        <span class="tl-type-badge">${Safe.text(item.type)}</span>
+                        <span class="tl-company" style="color:${Safe.attr(Safe.color(item.company_color))};">${Safe.text(item.company)}</span>
+                    </div>`;
+
+                card.innerHTML = `
+                    <div class="tl-header">
+                        <span class="tl-year-badge">${Safe.text(item.release_date)}</span>
+                        ${badgesHTML}
                     </div>
-                    <div class="tl-stat">
-                        <span class="tl-stat-label">Compute</span>
-                        <span class="tl-stat-value">${escapeHTML(item.compute)}</span>
-                    </div>
-                    <div class="tl-stat">
-                        <span class="tl-stat-label">Benchmark</span>
-                        <span class="tl-stat-value">${escapeHTML(item.benchmark)}</span>
+
+                    <div class="tl-model-name">${Safe.text(item.model)}</div>
+                    <div class="tl-model-sub">${Safe.text(item.subtitle)}</div>
+
+                    <div class="tl-stats">
+                        <div class="tl-stat">
+                            <span class="tl-stat-label">Parameters</span>
+                            <span class="tl-stat-value">${Safe.text(item.params)}</span>
+                        </div>
+                        <div class="tl-stat">
+                            <span class="tl-stat-label">Context</span>
+                            <span class="tl-stat-value">${Safe.text(item.context)}</span>
+                        </div>
+                        <div class="tl-stat">
+                            <span class="tl-stat-label">Compute</span>
+                            <span class="tl-stat-value">${Safe.text(item.compute)}</span>
+                        </div>
+                        <div class="tl-stat">
+                            <span class="tl-stat-label">Benchmark</span>
+                            <span class="tl-stat-value">${Safe.text(item.benchmark)}</span>
+                        </div>
                     </div>
-                </div>
 
-                <p class="tl-desc">${escapeHTML(item.description)}</p>
+                    <p class="tl-desc">${Safe.text(item.description)}</p>
 
-                <div class="tl-impact">
-                    <span class="tl-impact-label">Impact</span>
-                    <span>${escapeHTML(item.impact)}</span>
-                </div>`;
+                    <div class="tl-impact">
+                        <span class="tl-impact-label">Impact</span>
+                        <span>${Safe.text(item.impact)}</span>
+                    </div>`;
 
-            wrapper.appendChild(card);
-            container.appendChild(wrapper);
+                if (modelCompare) card.querySelector('.tl-badges').appendChild(modelCompare.toggle(item.id));
+
+                wrapper.appendChild(card);
+                container.appendChild(wrapper);
+            });
         });
     }
 
     // =========================================================
     // DATABASE — filter, sort, render (table + grid)
     // =========================================================
+    // Sort 'relevance' ranks by search score when the query has free-text
+    // terms and falls back to newest-first otherwise.
+    // Header sorting, when set, re-sorts that result; ties keep its order.
     function getDbFilteredLogs() {
-        return allLogs.filter(log => {
-            if (dbFilters.search) {
-                const q = dbFilters.search.toLowerCase();
-                const hit = log.title?.toLowerCase().includes(q) ||
-                    log.description?.toLowerCase().includes(q) ||
-                    log.sys_subtitle?.toLowerCase().includes(q) ||
-                    log.tags?.some(t => t.toLowerCase().includes(q)) ||
-                    log.keywords?.some(k => k.toLowerCase().includes(q));
-                if (!hit) return false;
-            }
+        const logs = searchDbLogs();
+        return dbFilters.order.length ? sortByColumns(logs, dbFilters.order) : logs;
+    }
 
-            if (dbFilters.shard !== 'all') {
-                const shard = dbFilters.shard;
-                const tags   = (log.tags || []).map(t => t.toLowerCase());
-                const region = (log.region || '').toLowerCase();
+    function searchDbLogs() {
+        const query = LogSearch.parseQuery(dbFilters.search);
+        const candidates = allLogs
+            .filter(log => isLogVisible(log) && matchesShard(log, dbFilters.shard))
+            .sort(LogDates.compareLogs(dbFilters.sort === 'date-asc' ? 'asc' : 'desc'));
 
-                if (shard === 'tech' && !tags.some(t => ['ai', 'tech', 'software', 'hardware', 'crypto', 'genetics', 'quantum'].includes(t))) return false;
-                if (shard === 'space' && !region.includes('space') && !tags.includes('space') && !tags.includes('astronomy')) return false;
-                if (shard === 'climate' && !tags.some(t => ['climate', 'energy', 'sun', 'physics', 'nuclear'].includes(t))) return false;
-                if (shard === 'geopolitics' && !tags.some(t => ['history', 'war', 'pvp', 'politics', 'security', 'diplomacy'].includes(t))) return false;
-            }
+        if (LogSearch.isEmpty(query)) return candidates;
+
+        const ranked = LogSearch.search(candidates, query).map(r => r.log);
+        if (dbFilters.sort === 'relevance' && LogSearch.positiveTerms(query).length) return ranked;
+        return ranked.sort(LogDates.compareLogs(dbFilters.sort === 'date-asc' ? 'asc' : 'desc'));
+    }
+
+    function matchesShard(log, shard) {
+        if (shard === 'all') return true;
+        const tags   = (log.tags || []).map(t => t.toLowerCase());
+        const region = (log.region || '').toLowerCase();
 
-            return true;
-        }).sort((a, b) =>
-            dbFilters.sort === 'date-asc'
-                ? (a.date || '').localeCompare(b.date || '')
-                : (b.date || '').localeCompare(a.date || '')
-        );
+        if (shard === 'tech') return tags.some(t => ['ai', 'tech', 'software', 'hardware', 'crypto', 'genetics', 'quantum'].includes(t));
+        if (shard === 'space') return region.includes('space') || tags.includes('space') || tags.includes('astronomy');
+        if (shard === 'climate') return tags.some(t => ['climate', 'energy', 'sun', 'physics', 'nuclear'].includes(t));
+        if (shard === 'geopolitics') return tags.some(t => ['history', 'war', 'pvp', 'politics', 'security', 'diplomacy'].includes(t));
+        return true;
     }
 
     function renderDatabase() {
         const filtered = getDbFilteredLogs();
-        if (dbCountEl) dbCountEl.textContent = `${filtered.length} of ${allLogs.length} records`;
+        if (dbCountEl) {
+            const hidden = allLogs.length - getVisibleLogs().length;
+            dbCountEl.textContent = `${filtered.length} of ${allLogs.length} records` +
+                (hidden > 0 ? ` (${hidden} low-importance hidden)` : '') +
+                (!LogStore.isSettled() ? ' · loading older shards…'
+                    : LogStore.failedShards().length ? ' · some shards failed to load' : '');
+        }
 
+        if (dbColumnPicker) dbColumnPicker.hidden = dbFilters.viewMode !== 'table';
         if (dbFilters.viewMode === 'table') {
             if (dbTableWrapper) dbTableWrapper.style.display = '';
             if (dbGridFeed)     dbGridFeed.style.display = 'none';
@@ -758,33 +1162,136 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Only the rows on screen are built; rows that stay on screen are reused
+    // until the query (and with it the highlighting) or the columns change.
     function renderDatabaseTable(logs) {
         if (!databaseTableBody) return;
-        databaseTableBody.innerHTML = '';
-        if (logs.length === 0) {
-            databaseTableBody.innerHTML = `<tr><td colspan="5" class="no-results">No records match your search.</td></tr>`;
-            return;
-        }
-        logs.forEach(log => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td style="white-space:nowrap;font-family:var(--font-mono);font-size:0.8rem;">${escapeHTML(log.date || '')}</td>
-                <td><a href="#article/${log.id}" class="db-row-title">${escapeHTML(log.title)}</a></td>
-                <td><span class="type-pill ${getTypeClass(log.type)}">${escapeHTML(log.type || 'News')}</span></td>
-                <td>${escapeHTML(log.region || 'Global')}</td>
-                <td>${log.wiki_url ? `<a href="${escapeHTML(log.wiki_url)}" target="_blank" rel="noopener">Wikipedia &rarr;</a>` : '<span style="color:var(--text-xmuted)">—</span>'}</td>`;
-            databaseTableBody.appendChild(tr);
+        renderDatabaseHead();
+        if (!dbTableList) dbTableList = VirtualList.create({
+            container: databaseTableBody,
+            renderItem: log => buildDatabaseRow(log, LogSearch.parseQuery(dbFilters.search)),
+            keyOf: log => log.id,
+            spacer: () => {
+                const tr = document.createElement('tr');
+                tr.className = 'virtual-spacer';
+                const td = tr.insertCell();
+                dbSpacerCells.push(td);
+                return tr;
+            },
+            empty: () => {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `<td colspan="${dbFilters.columns.length}" class="no-results">No records match your search.</td>`;
+                return tr;
+            },
+            estimate: 44,
         });
+        dbSpacerCells.forEach(td => { td.colSpan = dbFilters.columns.length; });
+        dbTableList.setItems(logs, { token: `${dbFilters.search}|${dbFilters.columns.join(',')}` });
+    }
+
+    function buildDatabaseRow(log, query) {
+        const tr = document.createElement('tr');
+        tr.className = `importance-${getImportance(log)}`;
+        tr.innerHTML = dbFilters.columns.map(id => {
+            const col = DB_COLUMN_BY_ID.get(id);
+            return `<td${col.cellClass ? ` class="${col.cellClass}"` : ''}>${col.cell(log, query)}</td>`;
+        }).join('');
+        return tr;
     }
 
     function renderDatabaseGrid(logs) {
         if (!dbGridFeed) return;
-        dbGridFeed.innerHTML = '';
-        if (logs.length === 0) {
-            dbGridFeed.innerHTML = `<div class="no-results">No records match your search.</div>`;
-            return;
-        }
-        logs.forEach(log => dbGridFeed.appendChild(buildNewsCard(log)));
+        if (!dbGridList) dbGridList = VirtualList.create({
+            container: dbGridFeed,
+            renderItem: log => buildNewsCard(log, LogSearch.parseQuery(dbFilters.search)),
+            keyOf: log => log.id,
+            spacer: gridSpacer,
+            empty: () => {
+                const div = document.createElement('div');
+                div.className = 'no-results';
+                div.textContent = 'No records match your search.';
+                return div;
+            },
+            estimate: 260,
+        });
+        dbGridList.setItems(logs, { token: dbFilters.search });
+    }
+
+    // =========================================================
+    // DATABASE EXPORT — CSV, JSON, Markdown, citations
+    // =========================================================
+    // Every export is built from getDbFilteredLogs() at the moment of the
+    // click, so it holds exactly the records on screen, in their order.
+    // JSON is the shard format; CSV has every field; Markdown mirrors the
+    // table's columns.
+    const DB_CSV_FIELDS = [
+        'id', 'date', 'title', 'type', 'region', 'importance', 'version', 'sys_subtitle',
+        'description', 'tags', 'keywords', 'wiki_url', 'submitted_by', 'article'
+    ];
+
+    function exportFilename(ext) {
+        const parts = ['simulation-log', dbFilters.shard, new Date().toISOString().slice(0, 10)];
+        return `${parts.join('-')}.${ext}`;
+    }
+
+    function logsToCSV(logs) {
+        return FileExport.toCSV(logs.map(log => Object.fromEntries(DB_CSV_FIELDS.map(field => {
+            const value = log[field];
+            return [field, Array.isArray(value) ? value.join('; ') : value];
+        }))));
+    }
+
+    function logsToMarkdown(logs) {
+        const cols = dbFilters.columns.map(id => DB_COLUMN_BY_ID.get(id));
+        const cell = value => String(value === null || value === undefined ? '' : value)
+            .replace(/\s+/g, ' ').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').trim();
+        const row = cells => `| ${cells.join(' | ')} |`;
+        const body = logs.map(log => row(cols.map(col => {
+            const text = col.text(log);
+            return col.id === 'wiki' && text ? `[Wikipedia](<${text.replace(/[<> ]/g, encodeURIComponent)}>)` : cell(text);
+        })));
+        return [row(cols.map(c => c.label)), row(cols.map(() => '---')), ...body].join('\n') + '\n';
+    }
+
+    // Numbered, one per record that has a source link
+    function logsToCitations(logs) {
+        return logs
+            .map(log => ({ log, url: Safe.url(log.wiki_url) }))
+            .filter(entry => entry.url)
+            .map((entry, i) => `${i + 1}. ${entry.log.title}${entry.log.date ? ` (${entry.log.date})` : ''}. Wikipedia. ${entry.url}`);
+    }
+
+    function copyCitations(btn) {
+        const lines = logsToCitations(getDbFilteredLogs());
+        const say = text => {
+            btn.textContent = text;
+            setTimeout(() => { btn.textContent = 'Copy citations'; }, 1500);
+        };
+        if (!lines.length) return say('No Wikipedia links to copy');
+        if (!navigator.clipboard) return say('Clipboard unavailable');
+        navigator.clipboard.writeText(lines.join('\n') + '\n').then(
+            () => say(`Copied ${lines.length} citation${lines.length === 1 ? '' : 's'}`),
+            () => say('Copy failed'));
+    }
+
+    function buildDbExportMenu() {
+        if (!dbCountEl) return;
+        const items = `
+            <button type="button" role="menuitem" data-export="csv">CSV</button>
+            <button type="button" role="menuitem" data-export="json">JSON</button>
+            <button type="button" role="menuitem" data-export="md">Markdown</button>
+            <button type="button" role="menuitem" data-export="cite" aria-live="polite">Copy citations</button>`;
+
+        const menu = FileExport.menu(items, (kind, btn) => {
+            // Citations report back on the button, so the menu stays open
+            if (kind === 'cite') { copyCitations(btn); return false; }
+            const logs = getDbFilteredLogs();
+            if (kind === 'csv') FileExport.download(exportFilename('csv'), logsToCSV(logs), 'text/csv');
+            if (kind === 'json') FileExport.download(exportFilename('json'), JSON.stringify(logs, null, 2) + '\n', 'application/json');
+            if (kind === 'md') FileExport.download(exportFilename('md'), logsToMarkdown(logs), 'text/markdown');
+        }, { className: 'db-export' });
+
+        dbCountEl.insertAdjacentElement('afterend', menu);
     }
 
     // =========================================================
@@ -799,43 +1306,45 @@ document.addEventListener('DOMContentLoaded', () => {
         return 'type-default';
     }
 
-    function escapeHTML(str) {
-        if (str === null || str === undefined) return '';
-        return String(str)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;');
-    }
-
     // =========================================================
     // EVENT LISTENERS
     // =========================================================
     function setupEventListeners() {
         if (themeToggleBtn) themeToggleBtn.addEventListener('click', toggleTheme);
+        buildVerboseToggles();
 
         footerNavLinks.forEach(link => {
             link.addEventListener('click', () => { window.location.hash = `#${link.dataset.view}`; });
         });
 
-        if (dbSearchInput) dbSearchInput.addEventListener('input', e => { dbFilters.search = e.target.value.trim(); renderDatabase(); });
-        if (dbSortSelect) dbSortSelect.addEventListener('change', e => { dbFilters.sort = e.target.value; renderDatabase(); });
+        buildDbExportMenu();
+
+        if (dbSearchInput) {
+            dbSearchInput.addEventListener('input', scheduleSearch);
+            dbSearchInput.addEventListener('keydown', e => { if (e.key === 'Enter') flushSearch(); });
+        }
+        if (dbSortSelect) {
+            if (!dbSortSelect.querySelector('option[value="relevance"]')) dbSortSelect.add(new Option('Best match', 'relevance'), 0);
+            dbSortSelect.value = dbFilters.sort;
+            dbSortSelect.addEventListener('change', e => {
+                if (e.target.value === 'columns') return;
+                dbFilters.sort = e.target.value;
+                dbFilters.order = [];
+                commitDbFilters('push');
+            });
+        }
 
         dbFilterBtns.forEach(btn => {
             btn.addEventListener('click', () => {
-                dbFilterBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
                 dbFilters.shard = btn.dataset.shard;
-                renderDatabase();
+                commitDbFilters('push');
             });
         });
 
         dbViewBtns.forEach(btn => {
             btn.addEventListener('click', () => {
-                dbViewBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
                 dbFilters.viewMode = btn.dataset.mode;
-                renderDatabase();
+                commitDbFilters('push');
             });
         });
     }
@@ -845,16 +1354,22 @@ document.addEventListener('DOMContentLoaded', () => {
     // =========================================================
     async function init() {
         initTheme();
+        initVerboseMode();
+        Object.assign(dbFilters, loadDbLayout());
         startLiveClock();
-        await fetchAllData();
+        [aiData] = await Promise.all([AIModels.load('data/ai-compute.json'), fetchInitialData()]);
+        appReady = true;
         renderHeroNewsCard();
         renderNewsGrid();
-        renderAITimeline();
         buildAIGraph();
+        buildAIFilters();
+        renderAITimeline();
         renderDatabase();
         setupEventListeners();
         handleRouting();
         window.addEventListener('hashchange', handleRouting);
+        window.addEventListener('popstate', handleRouting);
+        scheduleBackgroundLoad();
     }
 
     init();
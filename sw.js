@@ -0,0 +1,171 @@
+/* sw.js — Offline support for The Simulation Log
+ *
+ * shell  — HTML/CSS/JS pre-cached on install, served stale-while-revalidate
+ * data   — articles-index.json, ai-compute.json, logs manifest and shards, network-first
+ * posts  — every /posts/<slug>/ page the reader opens, network-first
+ *
+ * When a request falls back to the cache the page is told with a
+ * { type: 'served-from-cache' } message so nav.js can show OFFLINE; the
+ * next request of that page to reach the network sends
+ * { type: 'served-from-network' } so it can go back to LIVE.
+ * Bump VERSION whenever the shell list changes.
+ */
+
+const VERSION     = 'v12';
+const SHELL_CACHE = `tsl-shell-${VERSION}`;
+const DATA_CACHE  = `tsl-data-${VERSION}`;
+const POSTS_CACHE = `tsl-posts-${VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/style.css',
+    '/script.js',
+    '/js/safe.js',
+    '/js/nav.js',
+    '/js/articles.js',
+    '/js/home.js',
+    '/js/log-dates.js',
+    '/js/log-search.js',
+    '/js/log-store.js',
+    '/js/virtual-list.js',
+    '/js/file-export.js',
+    '/js/chart.js',
+    '/js/chart-export.js',
+    '/js/chart-table.js',
+    '/js/ai-models.js',
+    '/js/compute-chart.js',
+    '/js/model-compare.js',
+    '/js/ai-filters.js',
+    '/js/timeline.js',
+    '/js/tags.js',
+    '/article-template.html',
+    '/404.html',
+    '/metrics/',
+    '/metrics/ai-compute/',
+    '/timeline/',
+    '/tags/',
+    '/images/favicon-32.png',
+    '/images/favicon-192.png',
+];
+
+const DATA_FILES = [
+    '/articles-index.json',
+    '/data/ai-compute.json',
+    '/logs/manifest.json',
+    '/logs.json',
+];
+
+// Shard paths come from the manifest so new years are picked up automatically
+async function precacheData() {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.addAll(DATA_FILES);
+    const res = await cache.match('/logs/manifest.json');
+    if (!res) return;
+    const manifest = await res.json();
+    const shards = [
+        ...(manifest.years_available || []).map(y => `/logs/${y.file}`),
+        ...(manifest.eras || []).map(e => `/logs/${e.file}`),
+    ];
+    await cache.addAll(shards);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            precacheData(),
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const keep = [SHELL_CACHE, DATA_CACHE, POSTS_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k.startsWith('tsl-') && !keep.includes(k)).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages that were last told they are on cached data
+const cachedClients = new Set();
+
+async function notifyCached(event) {
+    const id = event.clientId || event.resultingClientId;
+    const client = id ? await self.clients.get(id) : null;
+    if (!client) return;
+    cachedClients.add(id);
+    client.postMessage({ type: 'served-from-cache', url: event.request.url });
+}
+
+async function notifyNetwork(event) {
+    const id = event.clientId || event.resultingClientId;
+    if (!id || !cachedClients.has(id)) return;
+    cachedClients.delete(id);
+    const client = await self.clients.get(id);
+    if (client) client.postMessage({ type: 'served-from-network', url: event.request.url });
+}
+
+// Network first; on failure serve the cached copy and tell the page
+async function networkFirst(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(event.request);
+        if (res.ok) cache.put(event.request, res.clone());
+        notifyNetwork(event);
+        return res;
+    } catch (err) {
+        const cached = await cache.match(event.request, { ignoreSearch: true }) ||
+            await caches.match(event.request, { ignoreSearch: true });
+        if (cached) {
+            notifyCached(event);
+            return cached;
+        }
+        if (event.request.mode === 'navigate') {
+            notifyCached(event);
+            return caches.match('/404.html');
+        }
+        throw err;
+    }
+}
+
+// Cached copy right away, refreshed from the network in the background
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request);
+    const network = fetch(event.request)
+        .then(res => {
+            if (res.ok) cache.put(event.request, res.clone());
+            notifyNetwork(event);
+            return res;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    const res = await network;
+    if (res) return res;
+    notifyCached(event);
+    if (event.request.mode !== 'navigate') return Response.error();
+    // Pages read their query string in the browser (/tags/?tag=AI, /?cat=ai),
+    // so the cached page path serves every query
+    return await cache.match(event.request, { ignoreSearch: true }) || caches.match('/404.html');
+}
+
+self.addEventListener('fetch', event => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+    const url = new URL(req.url);
+    if (url.origin !== self.location.origin) return;
+
+    const path = url.pathname;
+    if (path.endsWith('.json')) {
+        event.respondWith(networkFirst(event, DATA_CACHE));
+    } else if (path.startsWith('/posts/')) {
+        event.respondWith(networkFirst(event, POSTS_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});